@@ -0,0 +1,393 @@
+/**
+ * Asset metadata resolver: denom -> { symbol, exponent, ... } for native, IBC (including multi-hop), tokenfactory and gamm/pool/N share denoms.
+ * Sources, in order: the osmosis assetlist (github), the chain's bank denom metadata, IBC denom traces, and the denom itself.
+ * Every lookup is cached in assets.json (see ./storage): for config.ASSETS_CACHE_SECONDS,
+ * or config.ASSETLIST_CACHE_SECONDS if it was only guessed from a trace or the denom, so it's picked up once the assetlist knows it.
+ */
+
+import { ConsoleLogColors } from "js-console-log-colors";
+import config from "./config/config.js";
+import { fetchFromEndpoints } from "./endpoints.js";
+import storage from "./storage/index.js";
+import { fetchWithTimeout } from "./utils.js";
+
+const out = new ConsoleLogColors();
+
+const ASSETS_FILE = "assets.json";
+const ASSETLIST_URL =
+  "https://raw.githubusercontent.com/osmosis-labs/assetlists/main/osmosis-1/osmosis-1.assetlist.json";
+// exponents of the usual base denom prefixes, e.g. uatom (micro), aevmos (atto)
+const PREFIX_EXPONENTS = { u: 6, a: 18 };
+const GAMM_SHARE_EXPONENT = 18;
+
+// after github failed, the assetlist isn't refetched for this long (the last good one is used meanwhile)
+const ASSETLIST_RETRY_SECONDS = 300;
+
+let resolvedAssets; // assets.json, loaded on the first lookup
+let assetlistFailedAt = 0; // when fetching the assetlist from github last failed
+
+/**
+ * @param {String} denom e.g. "uosmo", "ibc/27394F...", "factory/osmo1.../foo", "gamm/pool/1"
+ * @returns {Promise<*>} { denom, type ("native", "ibc", "factory" or "gamm"), symbol, exponent, source,
+ *  and for IBC denoms: baseDenom, path (e.g. "transfer/channel-0") and hops }. exponent is undefined if unknown.
+ */
+export async function resolveDenom(denom) {
+  const cached = getResolvedAssets()[denom];
+  if (cached && !isExpired(cached)) {
+    return cached.asset;
+  }
+  const { asset, isCacheable } = await lookupDenom(denom);
+  if (isCacheable) {
+    saveResolvedAsset(denom, asset);
+  }
+  return asset;
+}
+
+/**
+ * Like resolveDenom(), but only from assets.json: never looks anything up (e.g. for the HTTP API, whose clients could send any denom).
+ * @param {String} denom
+ * @returns {*} the denom's metadata as last resolved (even if it's due to be looked up again), undefined if it never was
+ */
+export function getResolvedDenom(denom) {
+  return getResolvedAssets()[denom]?.asset;
+}
+
+/**
+ * @param {Array} coins e.g. [{denom: "uosmo", amount: "1000000"}]
+ * @returns {Promise<Array>} copies of the coins, with their metadata from resolveDenom()
+ */
+export async function resolveCoins(coins) {
+  const resolvedCoins = [];
+  for (const coin of coins) {
+    resolvedCoins.push({ ...coin, ...(await resolveDenom(coin.denom)) });
+  }
+  return resolvedCoins;
+}
+
+/**
+ * @returns {{asset: *, isCacheable: Boolean}} not cacheable if a source was unavailable (e.g. API down)
+ */
+async function lookupDenom(denom) {
+  let isCacheable = true;
+  const asset = { denom: denom, type: getDenomType(denom) };
+
+  // GAMM: pool shares
+  if (asset.type == "gamm") {
+    const poolId = denom.split("/")[2];
+    return {
+      asset: {
+        ...asset,
+        symbol: `GAMM-${poolId}`,
+        exponent: GAMM_SHARE_EXPONENT,
+        source: "denom",
+      },
+      isCacheable: true,
+    };
+  }
+
+  // everything the assetlist knows (native, IBC, tokenfactory)
+  try {
+    const listed = (await getIndexedAssetList())[denom];
+    if (listed?.symbol) {
+      return {
+        asset: {
+          ...asset,
+          symbol: listed.symbol,
+          exponent: listed.exponent ?? listed.denom_units?.exponent, // indexed before exponents were picked by display unit
+          source: "assetlist",
+        },
+        isCacheable: true,
+      };
+    }
+  } catch (err) {
+    out.error(`Unable to look up ${denom} in the assetlist:`);
+    out.error(err.message);
+    isCacheable = false;
+  }
+
+  // IBC: follow the trace (every hop) back to the base denom on its origin chain
+  let baseDenom = denom;
+  if (asset.type == "ibc") {
+    try {
+      const trace = await fetchDenomTrace(denom);
+      baseDenom = trace.base_denom;
+      asset.baseDenom = trace.base_denom;
+      asset.path = trace.path;
+      asset.hops = trace.path.split("/").length / 2;
+    } catch (err) {
+      out.error(`Unable to fetch the IBC denom trace of ${denom}:`);
+      out.error(err.message);
+      return {
+        asset: { ...asset, symbol: denom, source: "denom" },
+        isCacheable: false,
+      };
+    }
+  }
+
+  // tokenfactory (and other) denoms can have metadata on chain
+  if (asset.type != "ibc") {
+    try {
+      const metadata = await fetchDenomMetadata(denom);
+      if (metadata) {
+        return {
+          asset: {
+            ...asset,
+            symbol:
+              metadata.symbol || guessFromBaseDenom(metadata.display).symbol,
+            exponent: getDisplayExponent(metadata),
+            source: "metadata",
+          },
+          isCacheable: true,
+        };
+      }
+    } catch (err) {
+      out.error(`Unable to fetch the denom metadata of ${denom}:`);
+      out.error(err.message);
+      isCacheable = false;
+    }
+  }
+
+  return {
+    asset: {
+      ...asset,
+      ...guessFromBaseDenom(baseDenom),
+      source: asset.type == "ibc" ? "trace" : "denom",
+    },
+    isCacheable: isCacheable,
+  };
+}
+
+/**
+ * @returns {String} "ibc", "factory", "gamm" or "native"
+ */
+function getDenomType(denom) {
+  if (denom.startsWith("ibc/")) {
+    return "ibc";
+  }
+  if (denom.startsWith("factory/")) {
+    return "factory";
+  }
+  if (/^gamm\/pool\/\d+$/.test(denom)) {
+    return "gamm";
+  }
+  return "native";
+}
+
+/**
+ * Last resort: "uatom" -> ATOM (exponent 6), "factory/osmo1.../ufoo" -> FOO (exponent 6), "cw20:juno1..." -> itself (exponent unknown)
+ * @param {String} baseDenom
+ * @returns {{symbol: String, exponent: Number|undefined}}
+ */
+function guessFromBaseDenom(baseDenom) {
+  const name = baseDenom.split("/").pop();
+  const match = name.match(/^([ua])([a-z]{2,})$/);
+  if (match) {
+    return {
+      symbol: match[2].toUpperCase(),
+      exponent: PREFIX_EXPONENTS[match[1]],
+    };
+  }
+  return { symbol: name, exponent: undefined };
+}
+
+/**
+ * @param {*} metadata assetlist asset or bank denom metadata, with display and denom_units
+ * @returns {Number|undefined} exponent of the unit matching display
+ */
+function getDisplayExponent(metadata) {
+  const units = metadata.denom_units || [];
+  const displayUnit = units.find(
+    (unit) =>
+      unit.denom == metadata.display || unit.aliases?.includes(metadata.display)
+  );
+  return displayUnit?.exponent;
+}
+
+/**
+ * @param {String} denom "ibc/<hash>"
+ * @returns {Promise<{path: String, base_denom: String}>} e.g. { path: "transfer/channel-0/transfer/channel-42", base_denom: "uatom" }
+ */
+async function fetchDenomTrace(denom) {
+  const json = await fetchFromEndpoints(
+    "/ibc/apps/transfer/v1/denom_traces/" + denom.slice(4)
+  ).then((res) => res.json());
+  if (!json?.denom_trace?.base_denom) {
+    throw new Error(`Unexpected response: ${JSON.stringify(json)}`);
+  }
+  return json.denom_trace;
+}
+
+/**
+ * @param {String} denom
+ * @returns {Promise<*>} bank denom metadata, or undefined if the chain has none
+ */
+async function fetchDenomMetadata(denom) {
+  const json = await fetchFromEndpoints(
+    `/cosmos/bank/v1beta1/denoms_metadata_by_query_string?denom=${encodeURIComponent(
+      denom
+    )}`
+  ).then((res) => res.json());
+  const metadata = json?.metadata;
+  if (metadata?.symbol || metadata?.display) {
+    return metadata;
+  }
+}
+
+function getResolvedAssets() {
+  if (!resolvedAssets) {
+    try {
+      resolvedAssets = JSON.parse(storage.readFile(ASSETS_FILE)) || {};
+    } catch (err) {
+      resolvedAssets = {};
+    }
+  }
+  return resolvedAssets;
+}
+
+function saveResolvedAsset(denom, asset) {
+  getResolvedAssets()[denom] = { asset: asset, cachedAt: Date.now() };
+  try {
+    storage.writeFile(ASSETS_FILE, JSON.stringify(resolvedAssets));
+  } catch (err) {
+    out.error(`Unable to save ${ASSETS_FILE}:`);
+    out.error(err.message);
+  }
+}
+
+function isExpired(cached) {
+  const seconds = ["assetlist", "metadata"].includes(cached.asset.source)
+    ? config.ASSETS_CACHE_SECONDS
+    : config.ASSETLIST_CACHE_SECONDS;
+  return (Date.now() - cached.cachedAt) / 1000 > seconds;
+}
+
+// ASSETLIST:
+
+/**
+ * @returns {Promise<*>} indexed assetlist, { [base denom]: { symbol, display, exponent } }
+ * @throws if there's no assetlist at all (never fetched, and github is unavailable)
+ */
+async function getIndexedAssetList() {
+  const filename = "indexed-assetlist.json";
+  const indexedAssetlist = storage.exists(filename)
+    ? JSON.parse(storage.readFile(filename))
+    : {};
+  const isEmpty = Object.keys(indexedAssetlist).length === 0;
+  if (!isEmpty && !isAssetlistExpired(filename)) {
+    return indexedAssetlist;
+  }
+  // github failed recently: make do with what we have rather than refetching (and timing out) on every lookup
+  if (Date.now() - assetlistFailedAt < ASSETLIST_RETRY_SECONDS * 1000) {
+    if (isEmpty) {
+      throw new Error("Assetlist unavailable, github failed recently");
+    }
+    return indexedAssetlist;
+  }
+  return saveIndexedAssetListFromAssetlist(indexedAssetlist);
+}
+
+function isAssetlistExpired(filename) {
+  if (!storage.exists(filename)) {
+    return true;
+  }
+  const modifiedTime = storage.getModifiedTime(filename);
+  return (
+    (Date.now() - modifiedTime.getTime()) / 1000 >
+    config.ASSETLIST_CACHE_SECONDS
+  );
+}
+
+/**
+ * @param {*} lastIndexedAssetlist the current indexed-assetlist.json, kept if the assetlist can't be fetched
+ * @returns {Promise<*>} indexed assetlist
+ */
+async function saveIndexedAssetListFromAssetlist(lastIndexedAssetlist) {
+  let assetlist;
+  try {
+    assetlist = await getAssetList();
+  } catch (err) {
+    if (Object.keys(lastIndexedAssetlist).length) {
+      return lastIndexedAssetlist;
+    }
+    throw err;
+  }
+  const indexedAssetlist = indexAssetlist(assetlist);
+  const filename = "indexed-assetlist.json";
+  try {
+    storage.writeFile(filename, JSON.stringify(indexedAssetlist));
+    out.success(`... updated ${filename}`);
+  } catch (err) {
+    out.error(`Unable to save ${filename}:`);
+    out.error(err.message);
+  }
+  return indexedAssetlist;
+}
+
+/**
+ * create the indexedAssetlist from assetlist. this makes later lookups a lot quicker.
+ * The exponent is the one of the unit matching the asset's display unit (denom_units aren't always [base, display]).
+ * @param {*} assetlist
+ * @returns {*} indexedAssetList
+ */
+function indexAssetlist(assetlist) {
+  const indexedAssetlist = {};
+  for (const asset of assetlist?.assets || []) {
+    indexedAssetlist[asset.base] = {
+      symbol: asset.symbol,
+      display: asset.display,
+      exponent: getDisplayExponent(asset),
+    };
+  }
+  return indexedAssetlist;
+}
+
+/**
+ * return assetlist from cache, or fetch it from github if older than config.ASSETLIST_CACHE_SECONDS (or empty)
+ * @returns {Promise<*>} assetlist
+ * @throws if there's neither a (non-empty) cached nor a fetched assetlist
+ */
+async function getAssetList() {
+  const filename = "assetlist.json";
+  let assetlist;
+  if (!isAssetlistExpired(filename)) {
+    assetlist = JSON.parse(storage.readFile(filename));
+    if (Object.keys(assetlist).length) {
+      return assetlist;
+    }
+  }
+
+  if (config.DEBUG) {
+    out.debug("Updating assetlist.json from API and saving to cache...");
+  }
+  try {
+    const res = await fetchWithTimeout(ASSETLIST_URL, {
+      cache: "reload",
+      timeout: config.API.TIMEOUT_MS,
+    });
+    assetlist = await res.json();
+    if (!assetlist?.assets?.length) {
+      throw new Error(`Unexpected response: ${res.status}`);
+    }
+  } catch (err) {
+    assetlistFailedAt = Date.now();
+    out.error("Unable to fetch assetlist from github:");
+    out.error(err.message);
+    // a stale assetlist is better than none
+    const staleAssetlist = storage.exists(filename)
+      ? JSON.parse(storage.readFile(filename))
+      : {};
+    if (staleAssetlist?.assets?.length) {
+      return staleAssetlist;
+    }
+    throw err;
+  }
+
+  try {
+    storage.writeFile(filename, JSON.stringify(assetlist));
+    out.success(`... updated ${filename}`);
+  } catch (err) {
+    out.error("Unable to save assetlist.json:");
+    out.error(err.message);
+  }
+  return assetlist;
+}
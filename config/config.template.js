@@ -1,26 +1,159 @@
 export default {
-  EPOCH_HOUR: 19 /* Which hour osmosis epoch is relative to this server's timezone */,
-  API_QUERY: {
-    URL: "https://your.node/osmosis/incentives/v1beta1/gauges?pagination.limit=9999",
+  EPOCH_HOUR: 19 /* Which hour osmosis epoch is relative to this server's timezone (fallback if the epochs API is unavailable) */,
+  EPOCH_MINUTE: 16 /* ...and which minute */,
+  EPOCH: {
+    IDENTIFIER:
+      "day" /* epoch identifier from /osmosis/epochs/v1beta1/epochs */,
+    AVOID_WINDOW: true /* skip polls during the epoch, and poll once right after it (daemon mode) */,
+    WINDOW_BEFORE_SECONDS: 300,
+    WINDOW_AFTER_SECONDS: 900,
+  },
+  DAEMON: {
+    ENABLED: false /* keep running and poll on an interval (same as passing --daemon) */,
+    POLL_INTERVAL_SECONDS: 300,
+    WATCH_CONFIG: true /* reload this file when it changes (SIGHUP also reloads it) */,
+  },
+  HTTP_API: {
+    ENABLED: false /* read-only JSON API for dashboards (daemon mode only), see README */,
+    HOST: "127.0.0.1",
+    PORT: 8080,
+    CORS_ORIGIN: "" /* e.g. "*" to allow browser dashboards on other origins */,
+  },
+  API: {
+    ENDPOINTS: [
+      "https://your.node",
+      "https://your.other.node",
+    ] /* REST (LCD) endpoints, the healthiest one (latency, errors, block height) is used first. Replaces URL / FAILOVER_URL */,
     RATE_LIMIT_SECONDS: 60 /* Only necessary if you have reattempt this script multiple times  */,
+    TIMEOUT_MS: 30000,
+    RETRY_ATTEMPTS: 3 /* rounds through all endpoints before a request fails */,
+    RETRY_INTERVAL_MS: 5000 /* wait after the first failed round... */,
+    RETRY_BACKOFF_FACTOR: 2 /* ...multiplied by this after each further round... */,
+    RETRY_MAX_INTERVAL_MS: 60000 /* ...up to this */,
+    ENDPOINT_MAX_ERRORS: 3 /* consecutive errors before an endpoint is only used as a last resort... */,
+    ENDPOINT_COOLDOWN_SECONDS: 300 /* ...for this long */,
+    MAX_BLOCKS_BEHIND: 10 /* endpoints further behind the highest one are stale, only used as a last resort */,
+    PIN_HEIGHT: false /* read the pools and wallet locks at the block the gauges were read at (x-cosmos-block-height header). Pools are then refetched once per poll */,
+    PAGE_SIZE: 500 /* gauges / pools per request, pages are followed with pagination.next_key */,
+    PAGE_RETRIES: 3 /* retries per page */,
+    MAX_PAGES: 200,
+    MAX_GAUGES_DROP_PERCENT: 10 /* skip the poll if more gauges than this disappeared since the last one (probably an incomplete response)... */,
+    MAX_GAUGES_DROP_POLLS: 3 /* ...unless the drop persisted for this many polls in a row (e.g. finished gauges were pruned). `node index.js --accept-gauges-drop` accepts it straight away */,
+  },
+  POOLS_CACHE_SECONDS: 3600,
+  ASSETLIST_CACHE_SECONDS: 3600,
+  ASSETS_CACHE_SECONDS: 604800 /* resolved denoms (symbol, exponent) from the assetlist or chain metadata. Guessed ones are retried after ASSETLIST_CACHE_SECONDS */,
+  PRICES: {
+    ENABLED: false /* estimate the USD value per day and APR boost of incentives */,
+    SOURCE:
+      "./config/prices.json" /* local JSON file or http(s) URL answering { [denom or symbol]: usdPrice } */,
+    CACHE_SECONDS: 300,
+  },
+  POOL_EVENTS: {
+    ENABLED: true /* diff the pools like the gauges: NEW_POOL, POOL_LIQUIDITY_CHANGE and POOL_INCENTIVES_ENDED (a pool's last active external gauge ended) events */,
+    LIQUIDITY_CHANGE_PERCENT: 25 /* POOL_LIQUIDITY_CHANGE when a pool's total shares grow or shrink by more than this since the previous pools (refetched every POOLS_CACHE_SECONDS). Balancer and stableswap pools only, concentrated liquidity and cosmwasm pools have no shares */,
   },
   TG_BOT: {
     ACTIVE: true,
     TOKEN: "1231231231:AAEs123QaayKssZ123rDfR6MXTpGRZksiyA",
     GROUP_IDS: ["-100123123123"],
+    NOTIFICATION_TIMEOUT_MS: 10000,
+    NOTIFICATION_INTERVAL_MS: 1000 /* delay between each message */,
+    NOTIFICATION_BATCH_LIMIT: 20 /* messages per batch */,
+    NOTIFICATION_BATCH_INTERVAL_MS: 60000 /* delay after each batch */,
+    NOTIFICATION_RETRIES: 3 /* retries per message within a single run */,
+    NOTIFICATION_RETRY_INTERVAL_MS: 5000,
+    SUBSCRIPTIONS: {
+      ENABLED: false /* users /watch pools, denoms or durations and get matching notifications in their own chat (on top of GROUP_IDS) */,
+      POLL_TIMEOUT_SECONDS: 50 /* getUpdates long polling (daemon mode), one-shot runs just handle the pending commands */,
+      MAX_FILTERS_PER_CHAT: 50,
+    },
+  },
+  NOTIFIERS: {
+    TIMEOUT_MS: 10000 /* for the channels below (Telegram uses TG_BOT.NOTIFICATION_TIMEOUT_MS) */,
+    /* delivery defaults, per channel: each channel below can override any of them (e.g. DISCORD.INTERVAL_MS), Telegram uses TG_BOT.NOTIFICATION_* */
+    RETRIES: 3 /* retries per message within a single run */,
+    RETRY_INTERVAL_MS: 5000,
+    INTERVAL_MS: 1000 /* delay between two messages of the same channel */,
+    BATCH_LIMIT: 20 /* messages per batch */,
+    BATCH_INTERVAL_MS: 60000 /* delay after each batch */,
+    DISCORD: {
+      ENABLED: false,
+      USERNAME: "Osmosis Externals",
+      WEBHOOKS: {
+        /* name: url */
+        community: "https://discord.com/api/webhooks/123123123123/abcabcabc",
+      },
+    },
+    SLACK: {
+      ENABLED: false,
+      WEBHOOKS: {
+        team: "https://hooks.slack.com/services/T000/B000/XXXXXXXX",
+      },
+    },
+    WEBHOOK: {
+      ENABLED: false /* POSTs every notification as JSON */,
+      URLS: {
+        dashboard: "https://your.app/osmosis-externals",
+      },
+      HEADERS: {},
+    },
+  },
+  TEMPLATES: {
+    DIR: "./config/templates" /* your own templates (same layout as ./templates) take precedence over the defaults */,
+    POOL_URL: "https://frontier.osmosis.zone/pool/{{poolId}}",
+  },
+  DIGEST: {
+    ENABLED: false /* single summary message after each epoch */,
+    EVENT_TYPES: [
+      "NEW_EXTERNAL_GAUGE",
+      "NEW_INTERNAL_GAUGE",
+      "GAUGE_TOP_UP",
+      "GAUGE_EXTENDED",
+      "NEAR_EXPIRATION",
+      "EXPIRED",
+    ] /* events listed in the digest */,
+    REPLACE_EVENT_TYPES: [
+      "NEAR_EXPIRATION",
+      "EXPIRED",
+    ] /* events ONLY sent in the digest (no individual message) */,
+    MAX_POOLS_PER_MESSAGE: 15 /* longer digests are split over several messages */,
+  },
+  OUTBOX: {
+    MAX_ATTEMPTS: 20 /* give up on a message after this many attempts (across runs) */,
+    RETENTION_DAYS: 30 /* keep delivered events this long, so they're never re-sent */,
+    SEND_INTERVAL_SECONDS: 60 /* daemon mode: retry pending notifications this often in between polls (0 = only at the end of each poll) */,
   },
   DELTAS: {
     SEND_TO_DB: {
-      ENABLED: true,
+      ENABLED: false,
+      URI: "" /* full connection string, e.g. "mongodb://127.0.0.1:27017" for a local mongod. If empty, CLUSTER and the credentials are used (mongodb+srv) */,
       CLUSTER: "",
-      DATABASE: "",
-      COLLECTION: "",
+      DATABASE: "osmosis-externals",
+      COLLECTION: "deltas",
+      EVENTS_COLLECTION: "notable_events",
       USERNAME: "",
       PASSWORD: "",
-    } /* output to MONGO DB CLUSTER */,
+    } /* keep the history of deltas and notable events in MongoDB */,
     SEND_TO_FILE: true /* output (overwrite) deltas to ./cache/deltas.json */,
     SEND_TO_STDOUT: false /* output deltas to console */,
   },
+  STORAGE: {
+    BACKEND:
+      "fs" /* where the cache files are kept: "fs" (one json file each) or "sqlite" (needs the optional better-sqlite3 dependency) */,
+    DIR: "./cache" /* fs backend (and files imported when the sqlite database is created) */,
+    SQLITE_FILE: "./cache/cache.sqlite",
+  },
+  HISTORY: {
+    ENABLED: true /* append every poll's deltas and notable events to daily JSONL segments */,
+    DIR: "./cache/history",
+    RETENTION_DAYS: 90 /* delete older segments (0 = keep forever) */,
+  },
+  SNAPSHOTS: {
+    ENABLED: true /* gzipped copy of the indexed gauges after every poll which changed them, for --replay */,
+    DIR: "./cache/snapshots",
+    RETENTION_DAYS: 90 /* delete older snapshots (0 = keep forever) */,
+  },
   DEBUG: false /* output verbose debug info to console*/,
   BEHAVIOR: {
     IGNORE_EMPTY_DATA: 0 /* continue if API query fails or returns no data*/,
@@ -31,6 +164,31 @@ export default {
     SKIP_SAVE_OLD_INDEXED_GAUGES: 0 /* Don't overwrite the old indexed file */,
   },
   NOTIFICATIONS: {
+    /* which notable events are notified. Anything not listed here is notified. */
+    EVENT_TYPES: {
+      NEW_EXTERNAL_GAUGE: true,
+      NEW_INTERNAL_GAUGE: true,
+      NEW_SUPERFLUID_GAUGE: true,
+      NEAR_EXPIRATION: true,
+      EXPIRED: true,
+      GAUGE_TOP_UP: true,
+      GAUGE_EXTENDED: true,
+      STARTING_SOON: true,
+      NEW_POOL: false /* pools are created permissionlessly, many of them */,
+      POOL_LIQUIDITY_CHANGE: true,
+      POOL_INCENTIVES_ENDED: true,
+    },
+    STARTING_SOON_LEAD_HOURS: 24 /* notify this long before a gauge's first distribution */,
+    POOL_IDS: {
+      INCLUDE: [] /* only these pools (empty = all pools) */,
+      EXCLUDE: [],
+    },
+    DENOMS: {
+      INCLUDE:
+        [] /* only gauges paying at least one of these reward denoms or symbols (empty = all) */,
+      EXCLUDE: [] /* skip gauges paying only these */,
+    },
+    /* per bond duration (days), per event type */
     DURATION_14: {
       NEAR_EXPIRATION: true,
       EXPIRED: true,
@@ -44,4 +202,11 @@ export default {
       EXPIRED: true,
     },
   },
+  WALLETS: {
+    ENABLED: false /* personal alerts (WALLET_NEAR_EXPIRATION / WALLET_EXPIRED) when a gauge paying a watched wallet's locks is about to expire or has expired */,
+    ADDRESSES: {
+      /* address: destinations, on top of telegram chats which "/watch wallet" it */
+      osmo1qqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqqq: ["telegram:123123123"],
+    },
+  },
 };
@@ -0,0 +1,348 @@
+/**
+ * Pool of REST (LCD) endpoints (config.API.ENDPOINTS) used by callAPI() in index.js, and paginated lists fetched through it (fetchAllPages()).
+ * Every request records the endpoint's latency and errors, and a health check compares their block heights,
+ * so requests go to the healthiest endpoint first and rotate to the next one when it fails.
+ * Health is kept in memory: the daemon refines it poll after poll, one-shot runs start from the health check.
+ */
+
+import { ConsoleLogColors } from "js-console-log-colors";
+import config from "./config/config.js";
+import { fetchWithTimeout } from "./utils.js";
+
+const out = new ConsoleLogColors();
+
+const LATEST_BLOCK_PATH = "/cosmos/base/tendermint/v1beta1/blocks/latest";
+// requests with this header are answered from the state at that block height
+const PIN_HEIGHT_HEADER = "x-cosmos-block-height";
+const BLOCK_HEIGHT_HEADERS = [
+  "grpc-metadata-x-cosmos-block-height",
+  "x-cosmos-block-height",
+];
+// weight of the latest request in the latency and error rate averages
+const SMOOTHING = 0.3;
+
+let endpoints;
+
+/**
+ * @returns {Array} health of every configured endpoint, in config order.
+ *  Follows config reloads: removed endpoints are dropped, the ones still configured keep their health.
+ */
+function getEndpoints() {
+  // URL and FAILOVER_URL are the pre-ENDPOINTS config
+  const urls = [
+    ...new Set(
+      (config.API.ENDPOINTS?.length
+        ? config.API.ENDPOINTS
+        : [config.API.URL, config.API.FAILOVER_URL].filter(Boolean)
+      ).map((url) => url.replace(/\/+$/, ""))
+    ),
+  ];
+  if (
+    !endpoints ||
+    endpoints.length != urls.length ||
+    endpoints.some((endpoint, i) => endpoint.url != urls[i])
+  ) {
+    const previous = endpoints || [];
+    endpoints = urls.map(
+      (url) =>
+        previous.find((endpoint) => endpoint.url == url) || {
+          url: url,
+          latencyMs: undefined,
+          errorRate: 0,
+          consecutiveErrors: 0,
+          cooldownUntil: 0,
+          height: undefined,
+          lastError: undefined,
+        }
+    );
+  }
+  return endpoints;
+}
+
+function isCoolingDown(endpoint) {
+  return endpoint.cooldownUntil > Date.now();
+}
+
+/**
+ * @returns {Boolean} true if the endpoint is more than config.API.MAX_BLOCKS_BEHIND blocks behind the highest one
+ */
+function isStale(endpoint) {
+  const heights = getEndpoints()
+    .map((endpoint) => endpoint.height)
+    .filter((height) => height !== undefined);
+  return (
+    endpoint.height !== undefined &&
+    Math.max(...heights) - endpoint.height > config.API.MAX_BLOCKS_BEHIND
+  );
+}
+
+/**
+ * Average latency, plus a timeout's worth for the recent error rate (lower is better).
+ * Endpoints which haven't been tried yet score 0, so each one gets measured.
+ */
+function getScore(endpoint) {
+  return (endpoint.latencyMs || 0) + endpoint.errorRate * config.API.TIMEOUT_MS;
+}
+
+/**
+ * @returns {Array} endpoints, healthiest first: stale or cooling down endpoints are only used when all others failed
+ */
+function getRankedEndpoints() {
+  const rank = (endpoint) =>
+    (isCoolingDown(endpoint) ? 2 : 0) + (isStale(endpoint) ? 1 : 0);
+  return [...getEndpoints()].sort(
+    (a, b) => rank(a) - rank(b) || getScore(a) - getScore(b)
+  );
+}
+
+function recordSuccess(endpoint, latencyMs, height) {
+  endpoint.latencyMs =
+    endpoint.latencyMs === undefined
+      ? latencyMs
+      : SMOOTHING * latencyMs + (1 - SMOOTHING) * endpoint.latencyMs;
+  endpoint.errorRate = (1 - SMOOTHING) * endpoint.errorRate;
+  endpoint.consecutiveErrors = 0;
+  endpoint.cooldownUntil = 0;
+  if (height > 0) {
+    endpoint.height = height;
+  }
+}
+
+function recordError(endpoint, err) {
+  endpoint.errorRate = SMOOTHING + (1 - SMOOTHING) * endpoint.errorRate;
+  endpoint.consecutiveErrors++;
+  endpoint.lastError = err.message;
+  if (endpoint.consecutiveErrors >= config.API.ENDPOINT_MAX_ERRORS) {
+    endpoint.cooldownUntil =
+      Date.now() + config.API.ENDPOINT_COOLDOWN_SECONDS * 1000;
+  }
+}
+
+function getResponseHeight(res) {
+  for (const header of BLOCK_HEIGHT_HEADERS) {
+    const height = parseInt(res.headers.get(header));
+    if (height > 0) {
+      return height;
+    }
+  }
+}
+
+/**
+ * A single request to a single endpoint. Network errors, 5xx and 429 responses count as endpoint errors.
+ * @param {*} options { height } to query the state at that block height
+ * @returns {Promise} fetch response
+ * @throws if the endpoint failed
+ */
+async function fetchFromEndpoint(endpoint, path, options = {}) {
+  const start = Date.now();
+  try {
+    const res = await fetchWithTimeout(endpoint.url + path, {
+      timeout: config.API.TIMEOUT_MS,
+      headers: options.height
+        ? { [PIN_HEIGHT_HEADER]: String(options.height) }
+        : {},
+    });
+    if (res.status >= 500 || res.status == 429) {
+      throw new Error(`HTTP ${res.status} ${res.statusText}`);
+    }
+    recordSuccess(endpoint, Date.now() - start, getResponseHeight(res));
+    return res;
+  } catch (err) {
+    recordError(endpoint, err);
+    throw err;
+  }
+}
+
+/**
+ * Fetches a REST path from the healthiest endpoint, rotating through the others when it fails.
+ * When every endpoint failed, waits (config.API.RETRY_INTERVAL_MS, multiplied by RETRY_BACKOFF_FACTOR after each round,
+ * at most RETRY_MAX_INTERVAL_MS) and tries them all again, up to config.API.RETRY_ATTEMPTS times.
+ * @param {String} path path to REST method after the base URL
+ * @param {*} options { height } to query the state at that block height (x-cosmos-block-height header)
+ * @returns {Promise} fetch response (4xx responses included, they're the endpoint's answer)
+ * @throws if every attempt failed
+ */
+export async function fetchFromEndpoints(path, options = {}) {
+  for (let attempt = 0; ; attempt++) {
+    for (const endpoint of getRankedEndpoints()) {
+      console.info(`Fetching (from API): ${endpoint.url + path}`);
+      try {
+        return await fetchFromEndpoint(endpoint, path, options);
+      } catch (err) {
+        out.error(
+          `Error fetching from ${endpoint.url}${
+            attempt > 0 ? " (retry #" + attempt + ")" : ""
+          }: ${err.message}`
+        );
+      }
+    }
+    if (attempt >= config.API.RETRY_ATTEMPTS) {
+      throw new Error(`Unable to fetch ${path} from any API endpoint`);
+    }
+    const interval = Math.min(
+      config.API.RETRY_INTERVAL_MS * config.API.RETRY_BACKOFF_FACTOR ** attempt,
+      config.API.RETRY_MAX_INTERVAL_MS
+    );
+    await new Promise((resolve) => setTimeout(resolve, interval));
+  }
+}
+
+/**
+ * Fetches every page of a paginated cosmos REST list, following pagination.next_key with config.API.PAGE_SIZE items per page.
+ * Each page is retried on its own (config.API.PAGE_RETRIES), so a failure doesn't restart from the first page.
+ * @param {String} path e.g. "/osmosis/incentives/v1beta1/gauges"
+ * @param {String} key array property of each page, e.g. "data"
+ * @param {*} options { height } to read every page at that block height,
+ *  or { pinToFirstPage: true } to read the other pages at the block the first one was read at
+ * @returns {Promise<{items: Array, total: Number|undefined, height: Number|undefined}>} total as reported by the API (first page),
+ *  height the first page was read at (x-cosmos-block-height response header), undefined if the endpoint didn't say
+ * @throws if a page keeps failing, or the items don't add up to the reported total
+ */
+export async function fetchAllPages(path, key, options = {}) {
+  const items = [];
+  let total;
+  let height = options.height;
+  let nextKey = null;
+  let page = 0;
+  do {
+    const params = new URLSearchParams({
+      "pagination.limit": config.API.PAGE_SIZE,
+    });
+    if (nextKey) {
+      params.set("pagination.key", nextKey);
+    } else {
+      params.set("pagination.count_total", "true");
+    }
+    const { json, height: pageHeight } = await fetchPage(
+      `${path}?${params}`,
+      key,
+      { height: options.pinToFirstPage ? height : options.height }
+    );
+    items.push(...json[key]);
+    if (page == 0) {
+      height = height ?? pageHeight;
+      if (parseInt(json.pagination?.total) > 0) {
+        total = parseInt(json.pagination.total);
+      }
+    }
+    nextKey = json.pagination?.next_key;
+    page++;
+    if (nextKey && page >= config.API.MAX_PAGES) {
+      throw new Error(
+        `${path} has more than ${config.API.MAX_PAGES} pages (config.API.MAX_PAGES)`
+      );
+    }
+  } while (nextKey);
+
+  if (total !== undefined && items.length < total) {
+    throw new Error(
+      `${path} returned ${items.length} items, but reported a total of ${total}`
+    );
+  }
+  return { items: items, total: total, height: height };
+}
+
+/**
+ * @param {String} pathWithQuery
+ * @param {String} key array property the page must have
+ * @param {*} options fetchFromEndpoints() options
+ * @returns {Promise<{json: *, height: Number|undefined}>} page json, and the block height it was read at
+ */
+async function fetchPage(pathWithQuery, key, options) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const res = await fetchFromEndpoints(pathWithQuery, options);
+      const json = await res.json();
+      if (!Array.isArray(json?.[key])) {
+        throw new Error(
+          `Unexpected response (no "${key}" array): ${JSON.stringify(
+            json
+          ).slice(0, 200)}`
+        );
+      }
+      return { json: json, height: getResponseHeight(res) };
+    } catch (err) {
+      if (attempt >= config.API.PAGE_RETRIES) {
+        throw err;
+      }
+      out.warn(
+        `Page ${pathWithQuery} failed (${err.message}), retrying (#${
+          attempt + 1
+        })...`
+      );
+      await new Promise((resolve) =>
+        setTimeout(resolve, config.API.RETRY_INTERVAL_MS)
+      );
+    }
+  }
+}
+
+/**
+ * @param {Number} height
+ * @returns {Promise<{height: Number, time: String}>} the block at that height
+ * @throws if no endpoint answered
+ */
+export async function fetchBlock(height) {
+  const json = await fetchFromEndpoints(
+    `/cosmos/base/tendermint/v1beta1/blocks/${height}`
+  ).then((res) => res.json());
+  if (!(parseInt(json?.block?.header?.height) > 0)) {
+    throw new Error(`Unexpected response: ${JSON.stringify(json)}`);
+  }
+  return {
+    height: parseInt(json.block.header.height),
+    time: json.block.header.time,
+  };
+}
+
+/**
+ * Probes every endpoint's latest block, updating their latency, errors and block height (for the staleness check).
+ * Only useful with more than one endpoint.
+ */
+export async function checkEndpoints() {
+  await Promise.all(
+    getEndpoints().map(async (endpoint) => {
+      try {
+        const res = await fetchFromEndpoint(endpoint, LATEST_BLOCK_PATH);
+        const json = await res.json();
+        const height = parseInt(json?.block?.header?.height);
+        if (height > 0) {
+          endpoint.height = height;
+        }
+      } catch (err) {
+        out.warn(`API endpoint ${endpoint.url} failed its health check`);
+      }
+    })
+  );
+  for (const endpoint of getEndpoints().filter(isStale)) {
+    out.warn(
+      `API endpoint ${endpoint.url} is stale (block ${endpoint.height}), using it as a last resort`
+    );
+  }
+}
+
+/**
+ * @returns {Array} endpoints' health, healthiest first (e.g. for the HTTP API)
+ */
+export function getEndpointsHealth() {
+  return getRankedEndpoints().map((endpoint) => ({
+    ...endpoint,
+    latencyMs:
+      endpoint.latencyMs === undefined
+        ? undefined
+        : Math.round(endpoint.latencyMs),
+    errorRate: Math.round(endpoint.errorRate * 100) / 100,
+    isStale: isStale(endpoint),
+    isCoolingDown: isCoolingDown(endpoint),
+    cooldownUntil: endpoint.cooldownUntil
+      ? new Date(endpoint.cooldownUntil).toISOString()
+      : undefined,
+  }));
+}
+
+/**
+ * @returns {Number} number of configured endpoints
+ */
+export function getEndpointCount() {
+  return getEndpoints().length;
+}
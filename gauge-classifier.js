@@ -0,0 +1,88 @@
+/**
+ * Gauge classifier: tags every gauge once per run (see classifyGauges()), so event detection (processDeltas() in index.js),
+ * the HTTP API and gauge-tags.json share the same answers to "which pool does it pay, for how long a lock, is it internal...".
+ */
+
+import { ConsoleLogColors } from "js-console-log-colors";
+
+const out = new ConsoleLogColors();
+
+/**
+ * Gauges distribute to locks of pool shares ("gamm/pool/1", "gamm/pool/1/superbonding"),
+ * concentrated liquidity positions ("cl/pool/1066") or, without a lock, to a pool's liquidity ("no-lock/e/1066", "no-lock/i/1066").
+ * Any other denom (e.g. a locked IBC token) isn't a pool.
+ * @param {*} gauge
+ * @returns {String} pool id, or "NaN"
+ */
+function getPoolIdFromGauge(gauge) {
+  try {
+    const match = gauge.distribute_to.denom.match(
+      /^(?:gamm\/pool|cl\/pool|no-lock\/[ei])\/(\d+)(?:\/|$)/
+    );
+    return (match ? parseInt(match[1]) : NaN).toString();
+  } catch (err) {
+    out.error("Error in getPoolIdFromGauge():");
+    out.error(err);
+    return NaN.toString();
+  }
+}
+
+/**
+ * @param {*} gauge
+ * @returns {*} tags: {
+ *  poolId, bondDurationDays (lock duration it pays, 0 without a lock), lockQueryType ("ByDuration", "ByTime", "NoLock"...),
+ *  isInternal (osmo incentives from the pool-incentives module), isExternal (anything else),
+ *  isSuperfluid, isPerpetual, isConcentrated (pays concentrated liquidity positions), isNoLock,
+ *  isPlaceholder (empty perpetual gauge, waiting for internal incentives)
+ * }
+ */
+export function classifyGauge(gauge) {
+  const denom = gauge.distribute_to?.denom || "";
+  const coins = gauge.coins || [];
+  const isPerpetual = Boolean(gauge.is_perpetual);
+  const isNoLock =
+    gauge.distribute_to?.lock_query_type == "NoLock" ||
+    denom.startsWith("no-lock/");
+  const isPlaceholder = isPerpetual && coins.length == 0;
+  const isInternal =
+    denom.startsWith("no-lock/i/") ||
+    (isPerpetual && (isPlaceholder || coins[0].denom == "uosmo"));
+  return {
+    poolId: getPoolIdFromGauge(gauge),
+    bondDurationDays:
+      parseInt(gauge.distribute_to?.duration?.slice(0, -1) || 0) / 86400,
+    lockQueryType: gauge.distribute_to?.lock_query_type,
+    isInternal: isInternal,
+    isExternal: !isInternal,
+    isSuperfluid: denom.includes("/superbonding"),
+    isPerpetual: isPerpetual,
+    isConcentrated: denom.startsWith("cl/pool/") || isNoLock,
+    isNoLock: isNoLock,
+    isPlaceholder: isPlaceholder,
+  };
+}
+
+/**
+ * Tags all gauges in one pass. Additionally tags isFirstSuperfluidGauge: the pool's only superfluid gauge,
+ * i.e. superfluid staking has just been enabled for it.
+ * @param {*} indexedGauges gauge-id indexed gauges
+ * @returns {*} gauge-id indexed tags
+ */
+export function classifyGauges(indexedGauges) {
+  const indexedTags = {};
+  const superfluidGaugesPerPool = {};
+  for (const id in indexedGauges) {
+    const tags = classifyGauge(indexedGauges[id]);
+    indexedTags[id] = tags;
+    if (tags.isSuperfluid) {
+      superfluidGaugesPerPool[tags.poolId] =
+        (superfluidGaugesPerPool[tags.poolId] || 0) + 1;
+    }
+  }
+  for (const id in indexedTags) {
+    const tags = indexedTags[id];
+    tags.isFirstSuperfluidGauge =
+      tags.isSuperfluid && superfluidGaugesPerPool[tags.poolId] == 1;
+  }
+  return indexedTags;
+}
@@ -0,0 +1,41 @@
+/**
+ * Sanity check of freshly fetched gauges (see fetchGauges() in index.js), so a partial API response is never mistaken for lots of removed gauges.
+ * A drop which persists (e.g. a mass prune of finished gauges) is accepted after a few polls, so the monitor never gets stuck on a stale baseline.
+ */
+
+/**
+ * @param {Array} gauges freshly fetched gauges
+ * @param {*} baseline { count: number of gauges of the last accepted poll (0 on the first run),
+ *  droppedPolls: consecutive polls rejected for a drop since }
+ * @param {*} limits { maxDropPercent (config.API.MAX_GAUGES_DROP_PERCENT), maxDropPolls (config.API.MAX_GAUGES_DROP_POLLS) }
+ * @returns {{error: String|undefined, isDrop: Boolean}} error: what's wrong with the gauges, undefined if they can be processed.
+ *  isDrop: more than maxDropPercent of the gauges are missing, whether it's rejected or accepted (after maxDropPolls polls)
+ */
+export function checkGauges(gauges, baseline, limits) {
+  const ids = new Set(gauges.map((gauge) => gauge.id));
+  if (ids.size != gauges.length) {
+    return {
+      error: `${
+        gauges.length - ids.size
+      } duplicate gauge(s), pages probably shifted while fetching`,
+      isDrop: false,
+    };
+  }
+
+  const missing = baseline.count - gauges.length;
+  const isDrop =
+    baseline.count > 0 &&
+    missing > 0 &&
+    (missing / baseline.count) * 100 > limits.maxDropPercent;
+  if (!isDrop) {
+    return { error: undefined, isDrop: false };
+  }
+  // this poll is the (droppedPolls + 1)th in a row to see the drop
+  if (baseline.droppedPolls + 1 >= limits.maxDropPolls) {
+    return { error: undefined, isDrop: true };
+  }
+  return {
+    error: `${missing} of ${baseline.count} gauges disappeared since the last poll (more than config.API.MAX_GAUGES_DROP_PERCENT), accepted if it persists for ${limits.maxDropPolls} polls in a row`,
+    isDrop: true,
+  };
+}
@@ -0,0 +1,37 @@
+/**
+ * When a gauge pays out: the timing checks behind the STARTING_SOON and EXPIRED events (see gauge_isStartingSoon() and gauge_isExpired() in index.js).
+ */
+
+/**
+ * A gauge pays out for the first time at the first epoch after its start_time, so it's starting soon until then
+ * (even once start_time has passed).
+ * @param {*} gauge
+ * @param {Date} firstDistribution first epoch after the gauge's start_time
+ * @param {Number} leadTimeMs how long before its first distribution a gauge is starting soon
+ * @param {Number} now unix ms
+ * @returns {Boolean}
+ */
+export function isStartingSoon(
+  gauge,
+  firstDistribution,
+  leadTimeMs,
+  now = Date.now()
+) {
+  const msUntilDistribution = firstDistribution.getTime() - now;
+  return (
+    parseInt(gauge.filled_epochs) == 0 &&
+    msUntilDistribution > 0 &&
+    msUntilDistribution <= leadTimeMs
+  );
+}
+
+/**
+ * @param {*} gauge
+ * @returns {Boolean} the gauge has paid out its last epoch (never, for perpetual gauges)
+ */
+export function isPaidOut(gauge) {
+  return (
+    !gauge.is_perpetual &&
+    parseInt(gauge.filled_epochs) >= parseInt(gauge.num_epochs_paid_over)
+  );
+}
@@ -0,0 +1,170 @@
+/**
+ * Append-only history of every poll's deltas and notable events (config.HISTORY), unlike ./cache/deltas.json which is overwritten.
+ *
+ * One JSON line per poll, in one segment file per UTC day: <HISTORY.DIR>/YYYY-MM-DD.jsonl
+ * Each record has a cursor (unix ms, strictly increasing), so consumers can ask for everything since the last cursor they saw.
+ */
+
+import fs from "fs";
+import path from "path";
+import config from "./config/config.js";
+
+const SEGMENT_REGEX = /^(\d{4}-\d{2}-\d{2})\.jsonl$/;
+
+function getSegmentFilename(time) {
+  return path.join(
+    config.HISTORY.DIR,
+    `${new Date(time).toISOString().slice(0, 10)}.jsonl`
+  );
+}
+
+/**
+ * @returns {String[]} segment days (YYYY-MM-DD), oldest first
+ */
+function getSegmentDays() {
+  if (!fs.existsSync(config.HISTORY.DIR)) {
+    return [];
+  }
+  return fs
+    .readdirSync(config.HISTORY.DIR)
+    .map((filename) => filename.match(SEGMENT_REGEX)?.[1])
+    .filter(Boolean)
+    .sort();
+}
+
+function readSegment(day) {
+  const content = fs.readFileSync(
+    path.join(config.HISTORY.DIR, `${day}.jsonl`),
+    "utf8"
+  );
+  const records = [];
+  for (const line of content.split("\n")) {
+    if (!line) {
+      continue;
+    }
+    try {
+      records.push(JSON.parse(line));
+    } catch (err) {
+      // a line cut short by a crash, the rest of the segment is fine
+    }
+  }
+  return records;
+}
+
+/**
+ * @returns {Number} cursor of the latest record, or 0 if there is none
+ */
+export function getLatestCursor() {
+  const days = getSegmentDays();
+  for (let i = days.length - 1; i >= 0; i--) {
+    const records = readSegment(days[i]);
+    if (records.length) {
+      return records[records.length - 1].cursor;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Appends a poll's record to today's segment.
+ * @param {*} deltas gauge-id indexed deltas
+ * @param {Array} events notable events
+ * @param {*} block { height, time } the gauges were read at, or null if unknown
+ * @returns {Number} cursor of the new record
+ */
+export function appendHistory(deltas, events, block = null) {
+  fs.mkdirSync(config.HISTORY.DIR, { recursive: true });
+  const cursor = Math.max(Date.now(), getLatestCursor() + 1);
+  const record = {
+    cursor: cursor,
+    createdAt: new Date(cursor).toISOString(),
+    block: block,
+    deltas: deltas,
+    events: events,
+  };
+  const filename = getSegmentFilename(cursor);
+  // after a crash mid-write, start on a new line rather than appending to the partial one (which readSegment() skips)
+  const separator = isPartialLineAtEnd(filename) ? "\n" : "";
+  fs.appendFileSync(filename, separator + JSON.stringify(record) + "\n");
+  return cursor;
+}
+
+/**
+ * @param {String} filename segment file
+ * @returns {Boolean} the segment doesn't end with a newline
+ */
+function isPartialLineAtEnd(filename) {
+  if (!fs.existsSync(filename)) {
+    return false;
+  }
+  const size = fs.statSync(filename).size;
+  if (size == 0) {
+    return false;
+  }
+  const fd = fs.openSync(filename, "r");
+  try {
+    const lastByte = Buffer.alloc(1);
+    fs.readSync(fd, lastByte, 0, 1, size - 1);
+    return lastByte.toString() != "\n";
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * @param {Number} cursor only records after this cursor (0 for everything still retained)
+ * @param {Number} limit max records
+ * @returns {{records: Array, cursor: Number, hasMore: Boolean}} cursor to pass next time
+ */
+export function readHistorySince(cursor = 0, limit = Infinity) {
+  const records = [];
+  let hasMore = false;
+  // segments before the cursor's day can't hold anything newer
+  const firstDay = new Date(cursor).toISOString().slice(0, 10);
+  for (const day of getSegmentDays()) {
+    if (day < firstDay) {
+      continue;
+    }
+    for (const record of readSegment(day)) {
+      if (record.cursor <= cursor) {
+        continue;
+      }
+      if (records.length >= limit) {
+        hasMore = true;
+        break;
+      }
+      records.push(record);
+    }
+    if (hasMore) {
+      break;
+    }
+  }
+  return {
+    records: records,
+    cursor: records.length ? records[records.length - 1].cursor : cursor,
+    hasMore: hasMore,
+  };
+}
+
+/**
+ * Deletes segments older than config.HISTORY.RETENTION_DAYS (0 keeps everything).
+ * @returns {String[]} deleted segment days
+ */
+export function pruneHistory() {
+  if (!config.HISTORY.RETENTION_DAYS) {
+    return [];
+  }
+  const oldestDay = new Date(
+    Date.now() - config.HISTORY.RETENTION_DAYS * 86400 * 1000
+  )
+    .toISOString()
+    .slice(0, 10);
+  const deleted = [];
+  for (const day of getSegmentDays()) {
+    if (day < oldestDay) {
+      fs.unlinkSync(path.join(config.HISTORY.DIR, `${day}.jsonl`));
+      deleted.push(day);
+    }
+  }
+  return deleted;
+}
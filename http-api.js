@@ -0,0 +1,91 @@
+/**
+ * Small read-only JSON HTTP API for dashboards and other 3rd party applications (see config.HTTP_API).
+ * The routes themselves are defined in index.js, see getHttpApiRoutes().
+ */
+
+import http from "http";
+import { ConsoleLogColors } from "js-console-log-colors";
+import config from "./config/config.js";
+
+const out = new ConsoleLogColors();
+
+/**
+ * Creates an error which is answered with the given HTTP status (instead of 500).
+ * @param {Number} status e.g. 400
+ * @param {String} message
+ * @returns {Error}
+ */
+export function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Starts the server. Every route answers GET requests only.
+ * @param {*} routes e.g. { "/gauges/:id": async (params, query) => body }, a handler returning undefined answers 404
+ * @returns {http.Server}
+ */
+export function startHttpApi(routes) {
+  const compiledRoutes = Object.keys(routes).map((route) => ({
+    handler: routes[route],
+    paramNames: [...route.matchAll(/:(\w+)/g)].map((match) => match[1]),
+    regex: new RegExp(`^${route.replace(/:\w+/g, "([^/]+)")}/?$`),
+  }));
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    try {
+      if (req.method != "GET") {
+        throw httpError(405, "Only GET requests are supported");
+      }
+      let body;
+      for (const route of compiledRoutes) {
+        const match = url.pathname.match(route.regex);
+        if (match) {
+          const params = {};
+          route.paramNames.forEach((name, index) => {
+            params[name] = decodeURIComponent(match[index + 1]);
+          });
+          body = await route.handler(
+            params,
+            Object.fromEntries(url.searchParams)
+          );
+          break;
+        }
+      }
+      if (body === undefined) {
+        throw httpError(404, "Not found");
+      }
+      respond(res, 200, body);
+    } catch (err) {
+      if (!err.status) {
+        out.error(`HTTP API error on ${req.method} ${req.url}:`);
+        out.error(err);
+      }
+      respond(res, err.status || 500, {
+        error: err.status ? err.message : "Internal server error",
+      });
+    }
+  });
+
+  server.on("error", (err) => {
+    out.error("HTTP API server error:");
+    out.error(err);
+  });
+  server.listen(config.HTTP_API.PORT, config.HTTP_API.HOST, () => {
+    out.success(
+      `HTTP API listening on http://${config.HTTP_API.HOST}:${config.HTTP_API.PORT}`
+    );
+  });
+  return server;
+}
+
+function respond(res, status, body) {
+  const headers = { "Content-Type": "application/json" };
+  if (config.HTTP_API.CORS_ORIGIN) {
+    headers["Access-Control-Allow-Origin"] = config.HTTP_API.CORS_ORIGIN;
+  }
+  res.writeHead(status, headers);
+  res.end(JSON.stringify(body));
+}
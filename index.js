@@ -3,24 +3,106 @@
  * and compares with a local copy of previous API call.
  */
 
-import fetch from "node-fetch";
 import fs from "fs";
 import jsondiffpatch from "jsondiffpatch";
 import { ConsoleLogColors } from "js-console-log-colors";
 import config from "./config/config.js";
+import {
+  checkEndpoints,
+  fetchAllPages,
+  fetchFromEndpoints,
+  fetchBlock,
+  getEndpointCount,
+  getEndpointsHealth,
+} from "./endpoints.js";
+import { getResolvedDenom, resolveCoins, resolveDenom } from "./assets.js";
+import { classifyGauge, classifyGauges } from "./gauge-classifier.js";
+import { checkGauges } from "./gauge-sanity.js";
+import { isPaidOut, isStartingSoon } from "./gauge-schedule.js";
+import {
+  findPoolChanges,
+  findPoolsWithEndedIncentives,
+} from "./pool-events.js";
+import { appendHistory, pruneHistory, readHistorySince } from "./history.js";
+import { httpError, startHttpApi } from "./http-api.js";
+import { saveToMongo } from "./mongo.js";
+import {
+  findSnapshot,
+  listSnapshots,
+  pruneSnapshots,
+  readSnapshot,
+  saveSnapshot,
+} from "./snapshots.js";
+import storage from "./storage/index.js";
+import notifiers from "./notifiers/index.js";
+import { getNotificationPolicyRejection } from "./notification-policy.js";
+import { drainOutbox, enqueueEvents, getOutbox } from "./outbox.js";
+import { getPrices, getUsdValue } from "./pricing.js";
+import { getSubscribedTargets, getWatchedValues } from "./subscriptions.js";
+import { renderString } from "./templates.js";
+import { getWalletEvents } from "./wallet-watch.js";
 const out = new ConsoleLogColors();
 
 const startTime = Date.now();
 let indexedPools = {}; // populate from cache or API later only if we need to.
+let gaugeTags = {}; // gauge-id indexed tags of the current poll, see classifyGauges()
+let pollBlock = null; // { height, time } the gauges of the current poll were read at, see fetchGauges()
+let indexedPoolsHeight; // block height the pools were fetched at by this process (with config.API.PIN_HEIGHT)
+let isPoolsFetchFailed = false; // fetching the pools failed during the current poll, so the cached ones are used until the next
+
+// accept a drop in the number of gauges on the next poll, see getGaugesSanityError()
+let isGaugesDropAccepted = process.argv.includes("--accept-gauges-drop");
+// replays past snapshots instead of polling (see replaySnapshots())
+const isReplayMode = process.argv.includes("--replay");
+// daemon mode keeps the process alive and polls on an interval (see startDaemon())
+const isDaemonMode =
+  !isReplayMode &&
+  (process.argv.includes("--daemon") || config.DAEMON?.ENABLED);
+const daemon = {
+  timer: null /* timeout for the next scheduled poll */,
+  currentRun: null /* promise of the poll in progress, if any */,
+  currentSend:
+    null /* promise of the outbox drain started by startOutboxSender(), if any */,
+  stopping: false,
+};
 
 (async () => {
+  if (isReplayMode) {
+    await replaySnapshots(
+      process.argv
+        .slice(process.argv.indexOf("--replay") + 1)
+        .filter((arg) => !arg.startsWith("--")),
+      {
+        direct: process.argv.includes("--direct"),
+        enqueue: process.argv.includes("--enqueue"),
+      }
+    );
+  } else if (isDaemonMode) {
+    startDaemon();
+  } else {
+    if (config.HTTP_API?.ENABLED) {
+      out.warn("The HTTP API is only served in daemon mode (--daemon).");
+    }
+    await runMonitor();
+  }
+})();
+
+/**
+ * A single poll: fetch gauges, diff them against the previous poll, and notify.
+ */
+async function runMonitor() {
+  const runStartTime = Date.now();
+  pollBlock = null;
+  isPoolsFetchFailed = false;
   try {
     if (config.DEBUG) {
       out.debug(
         "config.DEBUG == true; All debugger messages will be shown & console will be preserved."
       );
     } else {
-      console.clear();
+      if (!isDaemonMode) {
+        console.clear();
+      }
       out.command("Fetch gauges from Osmosis API and watch changes...");
     }
 
@@ -29,13 +111,57 @@ let indexedPools = {}; // populate from cache or API later only if we need to.
     } catch (err) {
       out.error("Error calling initializeFiles():");
       out.error(err);
-      process.exit(0);
+      return;
+    }
+
+    // subscription bot commands sent since the last run (the daemon long polls them instead, see startTelegramBot())
+    if (!isDaemonMode && isTelegramBotEnabled()) {
+      try {
+        await notifiers.telegram.handleUpdates(0);
+      } catch (err) {
+        out.error("Error handling telegram bot commands:");
+        out.error(err);
+      }
+    }
+
+    // rank the API endpoints by latency and block height before using them
+    if (getEndpointCount() > 1) {
+      await checkEndpoints();
+    }
+
+    // 0. Don't poll during (or right around) the epoch, gauges are still being distributed.
+    // (the epoch info is also used later on, for distribution countdowns)
+    try {
+      const epochWindow = getEpochWindow(await getEpochInfo());
+      if (config.EPOCH.AVOID_WINDOW && epochWindow.inWindow) {
+        out.warn(
+          `Too close to the epoch, skipping this poll. Polling is safe again in ${formatDuration(
+            epochWindow.endsAt - Date.now()
+          )}`
+        );
+        return;
+      }
+    } catch (err) {
+      out.error("Error checking the epoch window:");
+      out.error(err);
     }
 
     // 1. Fetch Gauges... This also overwrites the "gauges.json" file.
     let gauges = {};
     try {
       gauges = await fetchGauges();
+      if (gauges === null) {
+        // rate limited or API unavailable (already logged), skip this poll
+        return;
+      }
+      pollBlock = gauges?.block || null;
+      if (pollBlock) {
+        out.info(
+          `Gauges as of block ${pollBlock.height}${
+            pollBlock.time ? " (" + pollBlock.time + ")" : ""
+          }`
+        );
+      }
       if (!gauges?.data) {
         out.error("gauges.json is empty");
         if (config.BEHAVIOR.IGNORE_EMPTY_DATA) {
@@ -45,7 +171,7 @@ let indexedPools = {}; // populate from cache or API later only if we need to.
             );
           }
         } else {
-          process.exit(0);
+          return;
         }
       }
     } catch (err) {
@@ -67,26 +193,21 @@ let indexedPools = {}; // populate from cache or API later only if we need to.
       out.error(err);
     }
 
+    // 3.1 tag every gauge once (pool, lock duration, internal / external, superfluid...), see ./gauge-classifier.js
+    try {
+      gaugeTags = classifyGauges(indexedGauges);
+      storage.writeFile("gauge-tags.json", JSON.stringify(gaugeTags));
+    } catch (err) {
+      out.error("Error classifying gauges:");
+      out.error(err);
+    }
+
     // 4. get previously cached indexed file and compare each gauge
-    const deltas = {};
+    let deltas = {};
+    let oldIndexedGauges = {};
     try {
-      const oldIndexedGauges = get_oldIndexedGauges();
-      const addedGauges = []; // array for any gauges that were added
-      for (const id in indexedGauges) {
-        // for every gauge, compare by id with old gauges...
-        const gauge = indexedGauges[id];
-        // if guage id doesn't exist in old gauges, we know it's new!
-        if (!oldIndexedGauges[id]) {
-          addedGauges.push(id);
-        }
-        // at this point in the loop, old gauge exists for this gauge id.
-        const oldGauge = oldIndexedGauges[id] || {};
-        // Lets compare and get deltas:
-        const delta = jsondiffpatch.diff(oldGauge, gauge);
-        if (delta) {
-          deltas[id] = delta;
-        }
-      }
+      oldIndexedGauges = get_oldIndexedGauges();
+      deltas = getDeltas(indexedGauges, oldIndexedGauges);
       if (config.DELTAS.SEND_TO_STDOUT) {
         out.debug("delta preview:");
         console.log(deltas);
@@ -104,43 +225,404 @@ let indexedPools = {}; // populate from cache or API later only if we need to.
     let arrNotableEvents = [];
     try {
       out.command("Process deltas...");
-      arrNotableEvents = await processDeltas(deltas, indexedGauges);
-      overwriteNotableEventsFile({ data: arrNotableEvents });
+      arrNotableEvents = await processDeltas(
+        deltas,
+        indexedGauges,
+        oldIndexedGauges
+      );
     } catch (err) {
       out.error("Error parsing deltas to notable events:");
       out.error(err);
     }
 
-    // 7. overwrite old indexed gauges with new one
+    // 4.0 compare the pools with the previous ones too (new pools, liquidity changes), see processPoolDeltas()
+    try {
+      if (config.POOL_EVENTS?.ENABLED) {
+        arrNotableEvents.push(...(await processPoolDeltas()));
+      }
+    } catch (err) {
+      out.error("Error parsing pool deltas to notable events:");
+      out.error(err);
+    }
+
+    // 4.0.1 estimate what the incentives are worth (USD per day, APR boost), see ./pricing.js
+    try {
+      if (config.PRICES?.ENABLED) {
+        await setEventsValue(arrNotableEvents);
+      }
+    } catch (err) {
+      out.error("Error estimating the value of notable events:");
+      out.error(err);
+    }
+
+    // 4.0.2 save the notable events (notable-events.json, GET /events/latest), now that they're complete
+    try {
+      setEventsBlock(arrNotableEvents, pollBlock);
+      overwriteNotableEventsFile({ data: arrNotableEvents });
+    } catch (err) {
+      out.error("Error saving notable events:");
+      out.error(err);
+    }
+
+    // 4.1 append deltas and notable events to the history (./cache/deltas.json and notable-events.json only hold the latest poll)
+    try {
+      if (
+        config.HISTORY?.ENABLED &&
+        (Object.keys(deltas).length || arrNotableEvents.length)
+      ) {
+        const cursor = appendHistory(deltas, arrNotableEvents, pollBlock);
+        out.success(`... appended to history (cursor ${cursor})`);
+        for (const day of pruneHistory()) {
+          out.info(`Deleted history segment ${day} (HISTORY.RETENTION_DAYS)`);
+        }
+      }
+    } catch (err) {
+      out.error("Error appending to the history:");
+      out.error(err);
+    }
+
+    // 4.2 keep a compressed snapshot of the gauges whenever they changed, to replay later (see replaySnapshots())
+    try {
+      if (config.SNAPSHOTS?.ENABLED && Object.keys(deltas).length) {
+        const id = saveSnapshot(indexedGauges, new Date(), pollBlock);
+        out.success(`... saved gauges snapshot ${id}`);
+        for (const deleted of pruneSnapshots()) {
+          out.info(`Deleted snapshot ${deleted} (SNAPSHOTS.RETENTION_DAYS)`);
+        }
+      }
+    } catch (err) {
+      out.error("Error saving the gauges snapshot:");
+      out.error(err);
+    }
+
+    // 4.3 keep the history of deltas and notable events in MongoDB
+    try {
+      if (config.DELTAS.SEND_TO_DB.ENABLED) {
+        await saveDeltasToDB(
+          deltas,
+          arrNotableEvents,
+          indexedGauges,
+          oldIndexedGauges
+        );
+      }
+    } catch (err) {
+      out.error("Error saving deltas and notable events to MongoDB:");
+      out.error(err);
+    }
+
+    // 5. queue notable events (that pass the notification policy) in the outbox before anything else can fail, so they survive a crash
+    try {
+      enqueueNotableEvents(applyNotificationPolicy(arrNotableEvents));
+    } catch (err) {
+      out.error("Error queueing notable events in the notification outbox:");
+      out.error(err);
+    }
+
+    // 5.1 personal alerts for watched wallets bonded to gauges which are (nearly) expired. Not subject to the notification policy.
+    try {
+      if (config.WALLETS?.ENABLED) {
+        enqueueNotableEvents(
+          await getWalletEvents(
+            arrNotableEvents,
+            getWatchedWallets(),
+            getWalletLocks
+          )
+        );
+      }
+    } catch (err) {
+      out.error("Error queueing wallet alerts in the notification outbox:");
+      out.error(err);
+    }
+
+    // 6. after an epoch (existing gauges have distributed), queue a single digest of everything since the last one
+    try {
+      if (
+        config.DIGEST.ENABLED &&
+        Object.values(deltas).some(
+          (delta) => delta.filled_epochs?.length == 2 // [old, new] i.e. changed, not added
+        )
+      ) {
+        enqueueNotableEvents(
+          applyNotificationPolicy(
+            setEventsBlock(await buildEpochDigests(), pollBlock)
+          )
+        );
+      }
+    } catch (err) {
+      out.error("Error building the epoch digest:");
+      out.error(err);
+    }
+
+    // 7. overwrite old indexed gauges (and pools) with new one
     try {
       save_oldIndexedGauges();
     } catch (err) {
       out.error("Error overwriting old indexed gauges with current one:");
       out.error(err);
     }
-
-    // TELEGRAM NOTIFICATIONS
     try {
-      if (config.TG_BOT.ACTIVE) {
-        doTelegramNotifications(arrNotableEvents);
+      if (config.POOL_EVENTS?.ENABLED) {
+        save_oldIndexedPools();
       }
     } catch (err) {
-      out.error("Error processing Telegram notifications:");
+      out.error("Error overwriting old indexed pools with current one:");
+      out.error(err);
+    }
+
+    // NOTIFICATIONS (sends anything still pending in the outbox, including from previous runs)
+    try {
+      await drainNotificationOutbox();
+    } catch (err) {
+      out.error("Error processing notifications:");
       out.error(err);
     }
   } catch (err) {
-    out.error("Error in main (IIFE):");
+    out.error("Error in runMonitor():");
     out.error(err);
+  } finally {
+    if (isDaemonMode) {
+      out.info(`Poll completed in ${Date.now() - runStartTime} ms`);
+    }
   }
-})();
+}
+
+/**
+ * Starts the long-running daemon: polls immediately, then every config.DAEMON.POLL_INTERVAL_SECONDS.
+ * SIGTERM/SIGINT finish the poll in progress before exiting, SIGHUP (or editing config.js) reloads the config.
+ */
+function startDaemon() {
+  out.command(
+    `Daemon mode: polling gauges every ${config.DAEMON.POLL_INTERVAL_SECONDS} seconds...`
+  );
+  if (config.DAEMON.POLL_INTERVAL_SECONDS < config.API.RATE_LIMIT_SECONDS) {
+    out.warn(
+      "config.DAEMON.POLL_INTERVAL_SECONDS is lower than config.API.RATE_LIMIT_SECONDS, some polls will be skipped!"
+    );
+  }
+  if (config.DAEMON.WATCH_CONFIG) {
+    watchConfigFile();
+  }
+  scheduleNextPoll(0);
+  startOutboxSender().catch((err) => {
+    out.error("Error in the outbox sender loop:");
+    out.error(err);
+  });
+  startTelegramBot().catch((err) => {
+    out.error("Error in the telegram bot loop:");
+    out.error(err);
+  });
+  if (config.HTTP_API?.ENABLED) {
+    startHttpApi(getHttpApiRoutes());
+  }
+}
+
+function scheduleNextPoll(delayMs) {
+  if (daemon.stopping) {
+    return;
+  }
+  clearTimeout(daemon.timer);
+  daemon.timer = setTimeout(async () => {
+    daemon.currentRun = runMonitor();
+    await daemon.currentRun;
+    daemon.currentRun = null;
+    scheduleNextPoll(await getNextPollDelayMs());
+  }, delayMs);
+  out.info(`Next poll in ${formatDuration(delayMs)}`);
+}
+
+async function stopDaemon(eventType) {
+  if (daemon.stopping) {
+    return;
+  }
+  daemon.stopping = true;
+  clearTimeout(daemon.timer);
+  if (daemon.currentRun) {
+    out.warn(`${eventType}: waiting for the current poll to finish...`);
+    await daemon.currentRun;
+  }
+  if (daemon.currentSend) {
+    await daemon.currentSend;
+  }
+  process.exit(0);
+}
+
+/**
+ * Sender loop: retries whatever is still pending in the outbox every config.OUTBOX.SEND_INTERVAL_SECONDS,
+ * so notifications that failed (e.g. during a channel outage) don't wait for the next poll.
+ * Polls drain the outbox themselves, see runMonitor().
+ */
+async function startOutboxSender() {
+  while (!daemon.stopping) {
+    // 0 (or unset) only drains at the end of each poll, checked again after a reload
+    const intervalSeconds = config.OUTBOX.SEND_INTERVAL_SECONDS;
+    await sleep(
+      (intervalSeconds > 0
+        ? intervalSeconds
+        : config.DAEMON.POLL_INTERVAL_SECONDS) * 1000
+    );
+    if (!(intervalSeconds > 0) || daemon.stopping || daemon.currentRun) {
+      continue;
+    }
+    try {
+      daemon.currentSend = drainNotificationOutbox();
+      await daemon.currentSend;
+    } catch (err) {
+      out.error("Error processing notifications:");
+      out.error(err);
+    } finally {
+      daemon.currentSend = null;
+    }
+  }
+}
+
+function isTelegramBotEnabled() {
+  return notifiers.telegram.isEnabled() && config.TG_BOT.SUBSCRIPTIONS?.ENABLED;
+}
+
+/**
+ * Long polls the telegram bot for subscription commands while the daemon runs (checks the config on every round, so it can be switched on by a reload).
+ */
+async function startTelegramBot() {
+  while (!daemon.stopping) {
+    if (!isTelegramBotEnabled()) {
+      await sleep(config.DAEMON.POLL_INTERVAL_SECONDS * 1000);
+      continue;
+    }
+    const roundStartTime = Date.now();
+    try {
+      await notifiers.telegram.handleUpdates(
+        config.TG_BOT.SUBSCRIPTIONS.POLL_TIMEOUT_SECONDS
+      );
+      // at most one round per second, in case getUpdates returns straight away
+      await sleep(1000 - (Date.now() - roundStartTime));
+    } catch (err) {
+      out.error("Error handling telegram bot commands:");
+      out.error(err);
+      await sleep(config.TG_BOT.NOTIFICATION_RETRY_INTERVAL_MS);
+    }
+  }
+}
+
+/**
+ * `node index.js --replay <from> [<to>] [--direct] [--enqueue]` re-runs processDeltas() on past snapshots (see ./snapshots.js),
+ * to backfill events, try new detection rules on real history, or reconstruct what happened on a given day.
+ * from / to are snapshot ids or dates (the latest snapshot at or before it), to defaults to the latest snapshot.
+ * Every consecutive pair of snapshots in between is replayed, like the polls which took them. --direct only compares from and to.
+ * The events are written to replay.json (see ./storage), and with --enqueue also queued in the outbox (sent by the next poll).
+ * Without arguments, lists the snapshots.
+ * @param {String[]} args [from, to]
+ * @param {*} options { direct, enqueue }
+ */
+async function replaySnapshots(args, options) {
+  const snapshots = listSnapshots();
+  if (!args.length) {
+    out.command(`${snapshots.length} snapshot(s) in ${config.SNAPSHOTS.DIR}:`);
+    for (const snapshot of snapshots) {
+      console.log(snapshot.id);
+    }
+    return;
+  }
+
+  const fromId = findSnapshot(args[0]);
+  const toId = args[1] ? findSnapshot(args[1]) : snapshots.at(-1)?.id;
+  if (!fromId || !toId || fromId >= toId) {
+    out.error(
+      `No snapshots to replay between "${args[0]}" and "${
+        args[1] || "latest"
+      }" (found ${fromId} and ${toId}).`
+    );
+    return;
+  }
+  await initializeFiles();
+
+  const ids = options.direct
+    ? [fromId, toId]
+    : snapshots
+        .map((snapshot) => snapshot.id)
+        .filter((id) => id >= fromId && id <= toId);
+  const replay = { from: fromId, to: toId, steps: [] };
+  let oldIndexedGauges = readSnapshot(ids[0]).indexedGauges;
+  for (const id of ids.slice(1)) {
+    const { indexedGauges, block } = readSnapshot(id);
+    gaugeTags = classifyGauges(indexedGauges);
+    const deltas = getDeltas(indexedGauges, oldIndexedGauges);
+    const arrNotableEvents = setEventsBlock(
+      await processDeltas(deltas, indexedGauges, oldIndexedGauges, {
+        isReplay: true,
+      }),
+      block
+    );
+    out.command(`${id}: ${arrNotableEvents.length} notable event(s)`);
+    for (const event of arrNotableEvents) {
+      out.info(`  ${getNotableEventId(event)}`);
+    }
+    replay.steps.push({
+      snapshot: id,
+      block: block,
+      deltas: deltas,
+      events: arrNotableEvents,
+    });
+    if (options.enqueue) {
+      enqueueNotableEvents(applyNotificationPolicy(arrNotableEvents));
+    }
+    oldIndexedGauges = indexedGauges;
+  }
+
+  storage.writeFile("replay.json", JSON.stringify(replay));
+  out.success(`... replay saved to replay.json`);
+}
+
+/**
+ * Ends a one-shot run. In daemon mode only the current poll is abandoned (by throwing), the daemon keeps running.
+ * @param {*} err reason for aborting, already logged by the caller
+ */
+function abortRun(err) {
+  if (isDaemonMode) {
+    throw err instanceof Error ? err : new Error(err);
+  }
+  process.exit(0);
+}
+
+/**
+ * Re-imports ./config/config.js and swaps its values into the existing config object, so every reference sees them.
+ */
+async function reloadConfig() {
+  try {
+    const { default: newConfig } = await import(
+      `./config/config.js?reload=${Date.now()}`
+    );
+    for (const key of Object.keys(config)) {
+      delete config[key];
+    }
+    Object.assign(config, newConfig);
+    out.success("Config reloaded.");
+  } catch (err) {
+    out.error("Unable to reload config, keeping the current one:");
+    out.error(err);
+  }
+}
+
+function watchConfigFile() {
+  let debounceTimer;
+  try {
+    fs.watch("./config/config.js", () => {
+      // editors tend to fire several change events per save
+      clearTimeout(debounceTimer);
+      debounceTimer = setTimeout(reloadConfig, 1000);
+    });
+  } catch (err) {
+    out.error("Unable to watch ./config/config.js for changes:");
+    out.error(err);
+  }
+}
 
 function isRateLimitCheckOk() {
   if (config.DEBUG) {
     out.debug("called function: isRateLimitCheckOk()");
   }
   try {
-    const stats = fs.statSync("./cache/gauges.json");
-    let ageInSeconds = (Date.now() - stats.mtime.getTime()) / 1000;
+    const modifiedTime = storage.getModifiedTime("gauges.json");
+    let ageInSeconds = (Date.now() - modifiedTime.getTime()) / 1000;
     return ageInSeconds > config.API.RATE_LIMIT_SECONDS;
   } catch (err) {
     out.error(err);
@@ -168,7 +650,7 @@ async function fetchGauges() {
     out.warn(
       `Rate limit exceeded. Please wait ${config.API.RATE_LIMIT_SECONDS} seconds before trying again, or change the API.RATE_LIMIT_SECONDS in the config.json`
     );
-    process.exit(0);
+    return null;
   }
 
   // 2. Fetch data from API (or local cache if debug setting)
@@ -181,23 +663,36 @@ async function fetchGauges() {
     data = getNewGaugesFromCache();
   } else {
     out.info("Fetching new data from API (this may take a moment)...");
-    data = await callAPI(
-      "/osmosis/incentives/v1beta1/gauges?pagination.limit=9999"
-    )
-      .then((res) => res.json())
+    // every page is read at the block the first one was read at, which the poll is tagged with
+    data = await fetchAllPages("/osmosis/incentives/v1beta1/gauges", "data", {
+      pinToFirstPage: true,
+    })
+      .then(async ({ items, height }) => ({
+        data: items,
+        block: await getBlock(height),
+      }))
       .catch((err) => {
         out.error("unable to access API at this time.");
         out.error(err);
-        process.exit(0);
+        return null;
       });
-    out.success("Gauges data fetched from API!");
+    if (data === null) {
+      return null;
+    }
+    out.success(`${data.data.length} gauges fetched from API!`);
+
+    // a partial response must never be mistaken for lots of removed gauges
+    const insanity = getGaugesSanityError(data.data);
+    if (insanity) {
+      out.error(`Refusing to process the fetched gauges: ${insanity}`);
+      return null;
+    }
+    isGaugesDropAccepted = false;
   }
 
-  /* before we save the new gauges, lets update the "old" gauges to show the previous "new" gauges...
-   logic: calling this both at the start AND end of the process -> you wont get reattempts if the process fails. 
-   commenting it out would result in reattempts and possible duplicate notifications every time this script is run
+  /* the "old" gauges are only updated at the end of a run (step 7), so a run which fails halfway is reattempted by the next one.
+   events which were already queued aren't notified twice, the outbox skips them.
    */
-  save_oldIndexedGauges();
 
   // 3. Write to file: gauges.json
   if (config.BEHAVIOR.SKIP_SAVE_GAUGES) {
@@ -209,8 +704,8 @@ async function fetchGauges() {
   } else {
     out.command("save gauges...");
     try {
-      fs.writeFileSync("./cache/gauges.json", JSON.stringify(data));
-      out.success("... updated ./cache/gauges.json");
+      storage.writeFile("gauges.json", JSON.stringify(data));
+      out.success("... updated gauges.json");
     } catch (err) {
       out.error("Unable to save gauges.json:");
       out.error(err.message);
@@ -221,6 +716,71 @@ async function fetchGauges() {
   return data;
 }
 
+/**
+ * @param {Number} height block height the gauges were read at, undefined if unknown
+ * @returns {Promise<*>} { height, time }, time undefined if it couldn't be fetched, or null if the height is unknown
+ */
+async function getBlock(height) {
+  if (!height) {
+    out.warn(
+      "The API didn't say which block the gauges were read at, they won't be tagged with it."
+    );
+    return null;
+  }
+  return fetchBlock(height).catch((err) => {
+    out.warn(`Unable to fetch the time of block ${height}: ${err.message}`);
+    return { height: height, time: undefined };
+  });
+}
+
+/**
+ * Sanity check of freshly fetched gauges against the last accepted poll (indexed-gauges.json), see ./gauge-sanity.js.
+ * The number of consecutive polls rejected for a drop is kept in gauges-drop.json, so it also adds up over one-shot runs.
+ * @param {Array} gauges
+ * @returns {String|undefined} what's wrong with them, or undefined if they can be processed
+ */
+function getGaugesSanityError(gauges) {
+  let count = 0;
+  try {
+    count = Object.keys(
+      JSON.parse(storage.readFile("indexed-gauges.json"))
+    ).length;
+  } catch (err) {
+    // first run
+  }
+  let droppedPolls = 0;
+  try {
+    droppedPolls =
+      JSON.parse(storage.readFile("gauges-drop.json")).droppedPolls || 0;
+  } catch (err) {
+    // no drop so far
+  }
+
+  const { error, isDrop } = checkGauges(
+    gauges,
+    { count: count, droppedPolls: droppedPolls },
+    {
+      // --accept-gauges-drop: the operator confirmed the drop, accept it straight away
+      maxDropPercent: isGaugesDropAccepted
+        ? Infinity
+        : config.API.MAX_GAUGES_DROP_PERCENT,
+      maxDropPolls: config.API.MAX_GAUGES_DROP_POLLS ?? 3,
+    }
+  );
+  if (isDrop && !error) {
+    out.warn(
+      `${count - gauges.length} of ${count} gauges disappeared, but for ${
+        droppedPolls + 1
+      } polls in a row: accepting them`
+    );
+  }
+  storage.writeFile(
+    "gauges-drop.json",
+    JSON.stringify({ droppedPolls: isDrop && error ? droppedPolls + 1 : 0 })
+  );
+  return error;
+}
+
 function save_indexedGauges(indexedGauges) {
   if (config.DEBUG) {
     out.debug("called function: save_indexedGauges()");
@@ -234,11 +794,8 @@ function save_indexedGauges(indexedGauges) {
   } else {
     out.command("save indexed-gauges...");
     try {
-      fs.writeFileSync(
-        "./cache/indexed-gauges.json",
-        JSON.stringify(indexedGauges)
-      );
-      out.success("... updated ./cache/indexed-gauges.json");
+      storage.writeFile("indexed-gauges.json", JSON.stringify(indexedGauges));
+      out.success("... updated indexed-gauges.json");
     } catch (err) {
       out.error("Unable to save indexed-gauges.json:");
       out.error(err.message);
@@ -260,11 +817,8 @@ function save_oldIndexedGauges() {
   } else {
     out.command("copy indexed-gauges > indexed-gauges-old ...");
     try {
-      fs.copyFileSync(
-        "./cache/indexed-gauges.json",
-        "./cache/indexed-gauges-old.json"
-      );
-      out.success("... updated ./cache/indexed-gauges-old.json");
+      storage.copyFile("indexed-gauges.json", "indexed-gauges-old.json");
+      out.success("... updated indexed-gauges-old.json");
     } catch (err) {
       out.error("Unable to save indexed-gauges-old.json:");
       out.error(err.message);
@@ -278,7 +832,7 @@ function get_oldIndexedGauges() {
     out.debug("called function: get_oldIndexedGauges()");
   }
   try {
-    let fileContent = fs.readFileSync("./cache/indexed-gauges-old.json");
+    let fileContent = storage.readFile("indexed-gauges-old.json");
     return JSON.parse(fileContent);
   } catch (err) {
     out.error("Error in get_oldIndexedGauges():");
@@ -292,7 +846,7 @@ function getNewGaugesFromCache() {
     out.debug("called function: getNewGaugesFromCache()");
   }
   try {
-    let fileContent = fs.readFileSync("./cache/gauges.json");
+    let fileContent = storage.readFile("gauges.json");
     return JSON.parse(fileContent);
   } catch (err) {
     out.error("Error in getNewGaugesFromCache():");
@@ -300,16 +854,20 @@ function getNewGaugesFromCache() {
   }
 }
 
-function overwriteDeltasFile(data) {
+/**
+ * @param {*} data deltas
+ * @param {String} filename "deltas.json" (gauges) or "pool-deltas.json"
+ */
+function overwriteDeltasFile(data, filename = "deltas.json") {
   if (config.DEBUG) {
     out.debug("called function: overwriteDeltasFile()");
   }
   // out.command("Saving deltas.json");
   try {
-    fs.writeFileSync("./cache/deltas.json", JSON.stringify(data));
-    out.success("... updated deltas");
+    storage.writeFile(filename, JSON.stringify(data));
+    out.success(`... updated ${filename}`);
   } catch (err) {
-    out.error("Unable to save deltas.json:");
+    out.error(`Unable to save ${filename}:`);
     out.error(err.message);
     return;
   }
@@ -321,7 +879,7 @@ function overwriteNotableEventsFile(data) {
   }
   // out.command("Saving notable-events.json");
   try {
-    fs.writeFileSync("./cache/notable-events.json", JSON.stringify(data));
+    storage.writeFile("notable-events.json", JSON.stringify(data));
     out.success("... updated notable events");
   } catch (err) {
     out.error("Unable to save notable-events.json:");
@@ -330,12 +888,87 @@ function overwriteNotableEventsFile(data) {
   }
 }
 
+/**
+ * Compares each gauge (or pool, see processPoolDeltas()) by id with its previous version.
+ * @param {*} indexedGauges current gauges, indexed by id
+ * @param {*} oldIndexedGauges previous gauges, indexed by id
+ * @returns {*} gauge-id indexed jsondiffpatch deltas (removed gauges as [oldGauge, 0, 0])
+ */
+function getDeltas(indexedGauges, oldIndexedGauges) {
+  const deltas = {};
+  for (const id in indexedGauges) {
+    // new gauges are compared with an empty one
+    const oldGauge = oldIndexedGauges[id] || {};
+    const delta = jsondiffpatch.diff(oldGauge, indexedGauges[id]);
+    if (delta) {
+      deltas[id] = delta;
+    }
+  }
+  for (const id in oldIndexedGauges) {
+    // gauges which no longer exist (jsondiffpatch notation for a deleted value)
+    if (!indexedGauges[id]) {
+      deltas[id] = [oldIndexedGauges[id], 0, 0];
+    }
+  }
+  return deltas;
+}
+
+/**
+ * Inserts a document per gauge delta and per notable event into MongoDB (config.DELTAS.SEND_TO_DB), all with the same timestamp.
+ * @param {*} deltas gauge-id indexed deltas
+ * @param {Array} arrNotableEvents notable events from processDeltas()
+ * @param {*} indexedGauges current indexed gauges
+ * @param {*} oldIndexedGauges previous indexed gauges (for removed gauges)
+ */
+async function saveDeltasToDB(
+  deltas,
+  arrNotableEvents,
+  indexedGauges,
+  oldIndexedGauges
+) {
+  if (config.DEBUG) {
+    out.debug("called function: saveDeltasToDB()");
+  }
+  const createdAt = new Date();
+  const deltaDocuments = Object.keys(deltas).map((id) => ({
+    gaugeId: id,
+    poolId: getGaugeTags(indexedGauges[id] || oldIndexedGauges[id]).poolId,
+    isRemoved: !indexedGauges[id],
+    blockHeight: pollBlock?.height,
+    createdAt: createdAt,
+    delta: deltas[id],
+  }));
+  const eventDocuments = arrNotableEvents.map((event) => ({
+    eventId: getNotableEventId(event),
+    type: event.type,
+    gaugeId: event.gauge?.id,
+    poolId: event.poolId,
+    blockHeight: event.block?.height,
+    createdAt: createdAt,
+    event: event,
+  }));
+  if (!deltaDocuments.length && !eventDocuments.length) {
+    return;
+  }
+  await saveToMongo(deltaDocuments, eventDocuments);
+  out.success(
+    `... saved ${deltaDocuments.length} delta(s) and ${eventDocuments.length} notable event(s) to MongoDB`
+  );
+}
+
 /**
  * Extracts useful insights from gauges deltas. Arguments are both guage id indexed json objects
  * @param {*} indexedDeltas gauge-id indexed deltas json object
  * @param {*} indexedGauges latest indexed-gauges.json. Used for cross referencing.
+ * @param {*} oldIndexedGauges previous indexed-gauges-old.json. Used for before/after comparisons.
+ * @param {*} options isReplay: gauges are from past snapshots (see replaySnapshots())
  */
-async function processDeltas(indexedDeltas, indexedGauges) {
+async function processDeltas(
+  indexedDeltas,
+  indexedGauges,
+  oldIndexedGauges,
+  options = {}
+) {
   if (config.DEBUG) {
     out.debug("called function: processDeltas()");
   }
@@ -346,7 +979,16 @@ async function processDeltas(indexedDeltas, indexedGauges) {
     if (idx !== "_t") {
       const delta = indexedDeltas[idx];
 
-      // cross reference the gauge by array index
+      // gauge has been removed since the last poll, the delta holds the old gauge
+      if (Array.isArray(delta)) {
+        const res = await gauge_isExpired(delta[0], true);
+        if (res) {
+          arrNotableEvents.push(res);
+        }
+        continue;
+      }
+
+      // cross reference the gauge by array index
       const gauge = indexedGauges[idx];
 
       if (delta.filled_epochs) {
@@ -355,6 +997,26 @@ async function processDeltas(indexedDeltas, indexedGauges) {
         if (res) {
           arrNotableEvents.push(res);
         }
+        // check if gauge has just paid out its last epoch
+        const resExpired = await gauge_isExpired(gauge);
+        if (resExpired) {
+          arrNotableEvents.push(resExpired);
+        }
+      }
+
+      // existing gauge with changed rewards
+      const oldGauge = oldIndexedGauges[idx];
+      if (oldGauge && delta.coins) {
+        const res = await gauge_isToppedUp(gauge, oldGauge);
+        if (res) {
+          arrNotableEvents.push(res);
+        }
+      }
+      if (oldGauge && delta.num_epochs_paid_over) {
+        const res = await gauge_isExtended(gauge, oldGauge);
+        if (res) {
+          arrNotableEvents.push(res);
+        }
       }
 
       const res = await gauge_isNew(delta, indexedGauges);
@@ -363,29 +1025,46 @@ async function processDeltas(indexedDeltas, indexedGauges) {
       }
     }
   }
+
+  // pools left without external incentives by the gauges which ended
+  if (config.POOL_EVENTS?.ENABLED) {
+    arrNotableEvents.push(
+      ...(await pool_isIncentivesEnded(indexedGauges, oldIndexedGauges))
+    );
+  }
+
+  // time based events, checked for every gauge (not just the changed ones). They're relative to now, so not replayed.
+  if (options.isReplay) {
+    return arrNotableEvents;
+  }
+  const outbox = getOutbox();
+  for (const id in indexedGauges) {
+    const res = await gauge_isStartingSoon(indexedGauges[id], outbox);
+    if (res) {
+      arrNotableEvents.push(res);
+    }
+  }
   return arrNotableEvents;
 }
 
 // BUSINESS LOGIC FUNCTIONS:
 
-// TODO: implement config.NOTIFICATIONS
-
 async function gauge_isNearExpiration(gauge, filled_epochs) {
   try {
-    if (gauge.is_perpetual) return false;
-    const bondDurationDays = gauge.distribute_to.duration.slice(0, -1) / 86400;
+    const tags = getGaugeTags(gauge);
+    if (tags.isPerpetual) return false;
     const remainingDays = gauge.num_epochs_paid_over - gauge.filled_epochs;
-    if (bondDurationDays == remainingDays) {
-      const poolId = getPoolIdFromGauge(gauge);
-      const poolInfo = await getPoolInfo(poolId);
+    if (tags.bondDurationDays == remainingDays) {
+      const poolInfo = await getPoolInfo(tags.poolId);
       const coins = await getCoinsInfo(gauge.coins);
       return {
         type: "NEAR_EXPIRATION",
-        poolId: poolId,
+        poolId: tags.poolId,
         poolAssetSymbols: poolInfo.poolAssetSymbols,
         coins: coins,
-        bondDurationDays: bondDurationDays,
+        bondDurationDays: tags.bondDurationDays,
         remainingDays: remainingDays,
+        tags: tags,
         gauge: gauge,
       };
     }
@@ -396,61 +1075,201 @@ async function gauge_isNearExpiration(gauge, filled_epochs) {
   }
 }
 
+/**
+ * Checks for gauges which have paid out their last epoch, or have disappeared from the API before that.
+ * @param {*} gauge the gauge (the old one, if removed)
+ * @param {Boolean} isRemoved gauge no longer exists
+ */
+async function gauge_isExpired(gauge, isRemoved = false) {
+  try {
+    const tags = getGaugeTags(gauge);
+    if (tags.isPerpetual) return;
+    // a removed gauge which had already paid out got its EXPIRED back then (e.g. finished gauges pruned from the chain)
+    if (isRemoved ? isPaidOut(gauge) : !isPaidOut(gauge)) return;
+    const poolInfo = await getPoolInfo(tags.poolId);
+    const coins = await getCoinsInfo(gauge.coins);
+    return {
+      type: "EXPIRED",
+      poolId: tags.poolId,
+      poolAssetSymbols: poolInfo.poolAssetSymbols,
+      coins: coins,
+      bondDurationDays: tags.bondDurationDays,
+      remainingDays: 0,
+      isRemoved: isRemoved,
+      tags: tags,
+      gauge: gauge,
+    };
+  } catch (err) {
+    out.error("Error in gauge_isExpired():");
+    out.error(err);
+    return;
+  }
+}
+
+/**
+ * Checks for reward coins being added to an existing gauge (a new denom, or a higher amount of an existing one).
+ * @param {*} gauge current gauge
+ * @param {*} oldGauge the same gauge from the previous poll
+ */
+async function gauge_isToppedUp(gauge, oldGauge) {
+  try {
+    const coinsAdded = [];
+    for (const coin of gauge.coins) {
+      const oldCoin = oldGauge.coins.find((old) => old.denom == coin.denom);
+      const added = BigInt(coin.amount) - BigInt(oldCoin?.amount || 0);
+      if (added > 0n) {
+        coinsAdded.push({ denom: coin.denom, amount: added.toString() });
+      }
+    }
+    if (coinsAdded.length == 0) return;
+
+    const tags = getGaugeTags(gauge);
+    const poolInfo = await getPoolInfo(tags.poolId);
+    return {
+      type: "GAUGE_TOP_UP",
+      poolId: tags.poolId,
+      poolAssetSymbols: poolInfo.poolAssetSymbols,
+      coins: await getCoinsInfo(copyCoins(gauge.coins)),
+      coinsBefore: await getCoinsInfo(copyCoins(oldGauge.coins)),
+      coinsAdded: await getCoinsInfo(coinsAdded),
+      bondDurationDays: tags.bondDurationDays,
+      remainingDays: gauge.num_epochs_paid_over - gauge.filled_epochs,
+      tags: tags,
+      gauge: gauge,
+    };
+  } catch (err) {
+    out.error("Error in gauge_isToppedUp():");
+    out.error(err);
+    return;
+  }
+}
+
+/**
+ * Checks for an existing gauge paying out over more epochs than before.
+ * @param {*} gauge current gauge
+ * @param {*} oldGauge the same gauge from the previous poll
+ */
+async function gauge_isExtended(gauge, oldGauge) {
+  try {
+    if (
+      parseInt(gauge.num_epochs_paid_over) <=
+      parseInt(oldGauge.num_epochs_paid_over)
+    )
+      return;
+
+    const tags = getGaugeTags(gauge);
+    const poolInfo = await getPoolInfo(tags.poolId);
+    return {
+      type: "GAUGE_EXTENDED",
+      poolId: tags.poolId,
+      poolAssetSymbols: poolInfo.poolAssetSymbols,
+      coins: await getCoinsInfo(copyCoins(gauge.coins)),
+      coinsBefore: await getCoinsInfo(copyCoins(oldGauge.coins)),
+      numEpochsPaidOverBefore: oldGauge.num_epochs_paid_over,
+      bondDurationDays: tags.bondDurationDays,
+      remainingDays: gauge.num_epochs_paid_over - gauge.filled_epochs,
+      tags: tags,
+      gauge: gauge,
+    };
+  } catch (err) {
+    out.error("Error in gauge_isExtended():");
+    out.error(err);
+    return;
+  }
+}
+
+/**
+ * Checks for gauges whose first distribution is within config.NOTIFICATIONS.STARTING_SOON_LEAD_HOURS.
+ * Only fires once per gauge: gauges already in the outbox are skipped.
+ * @param {*} gauge
+ * @param {*} outbox from getOutbox()
+ */
+async function gauge_isStartingSoon(gauge, outbox) {
+  try {
+    if (parseInt(gauge.filled_epochs) > 0) return;
+    if (outbox.events[`STARTING_SOON:${gauge.id}`]) return;
+    if (getGaugeTags(gauge).isPlaceholder) return;
+
+    const firstDistribution = getFirstEpochAfter(gauge.start_time);
+    const leadTimeMs =
+      config.NOTIFICATIONS.STARTING_SOON_LEAD_HOURS * 60 * 60 * 1000;
+    if (!isStartingSoon(gauge, firstDistribution, leadTimeMs)) return;
+
+    const tags = getGaugeTags(gauge);
+    const poolInfo = await getPoolInfo(tags.poolId);
+    return {
+      type: "STARTING_SOON",
+      poolId: tags.poolId,
+      poolAssetSymbols: poolInfo.poolAssetSymbols,
+      coins: await getCoinsInfo(copyCoins(gauge.coins)),
+      bondDurationDays: tags.bondDurationDays,
+      remainingDays: gauge.num_epochs_paid_over - gauge.filled_epochs,
+      firstDistributionTime: firstDistribution.toISOString(),
+      tags: tags,
+      gauge: gauge,
+    };
+  } catch (err) {
+    out.error("Error in gauge_isStartingSoon():");
+    out.error(err);
+    return;
+  }
+}
+
+// getCoinsInfo() adds its info to the coin objects it's given, keep the gauges untouched
+function copyCoins(coins) {
+  return coins.map((coin) => ({ ...coin }));
+}
+
+/**
+ * @param {*} gauge
+ * @returns {*} the gauge's tags from this poll's classifyGauges(), or classified on its own (e.g. a removed gauge)
+ */
+function getGaugeTags(gauge) {
+  return gaugeTags[gauge.id] || classifyGauge(gauge);
+}
+
+/**
+ * @returns {String|undefined} NEW_SUPERFLUID_GAUGE (only for the pool's first superfluid gauge), NEW_INTERNAL_GAUGE or NEW_EXTERNAL_GAUGE,
+ *  undefined for gauges not worth an event (placeholders, further superfluid gauges)
+ */
+function getNewGaugeEventType(tags) {
+  if (tags.isSuperfluid) {
+    return tags.isFirstSuperfluidGauge ? "NEW_SUPERFLUID_GAUGE" : undefined;
+  }
+  if (tags.isPlaceholder) {
+    // empty gauge waiting for internal incentives
+    return;
+  }
+  // internal incentives on a new gauge (might never happen due to the governance requirement, but just in case)
+  return tags.isInternal ? "NEW_INTERNAL_GAUGE" : "NEW_EXTERNAL_GAUGE";
+}
+
 async function gauge_isNew(delta, indexedGauges) {
   try {
     // basic check
     if (delta?.id) {
       const gauge = indexedGauges[delta.id];
-      const poolId = getPoolIdFromGauge(gauge);
-      const poolInfo = await getPoolInfo(poolId);
-      const coins = await getCoinsInfo(gauge.coins);
-      const currentTime = new Date();
-      const targetTime = new Date(gauge.start_time);
-
-      const timeDifference = targetTime - currentTime;
-      const daysUntilTimestamp = timeDifference / (1000 * 60 * 60 * 24);
-
-      const bondDurationDays =
-        gauge.distribute_to.duration.slice(0, -1) / 86400;
+      const tags = getGaugeTags(gauge);
       const remainingDays = gauge.num_epochs_paid_over - gauge.filled_epochs;
-
-      if (remainingDays >= 0) {
-        // gaugeType
-        let type = "NEW_EXTERNAL_GAUGE";
-
-        // CHECK FOR NEW SUPERFLUID POOLS
-        if (gauge.distribute_to?.denom?.includes("superbonding")) {
-          // only if it is the first "superbonding" for the pool...
-          for (const id in indexedGauges) {
-            if (id !== gauge.id) {
-              if (
-                indexedGauges[id].distribute_to.denom.includes(
-                  `/${poolId}/superbonding`
-                )
-              ) {
-                return;
-              }
-            }
-          }
-          type = "NEW_SUPERFLUID_GAUGE";
-        } else if (gauge.is_perpetual && gauge.coins[0]?.denom == "uosmo") {
-          // new gauge AND it has internal incentives loaded (might never reach here due to governance requirement, but just in case)
-          type = "NEW_INTERNAL_GAUGE";
-        } else if (gauge.is_perpetual && !gauge.coins[0]) {
-          // can ignore - placeholder (empty) gauge for internal incentives
-          return;
-        }
-        return {
-          type: type,
-          poolId: poolId,
-          coins: coins,
-          poolAssetSymbols: poolInfo.poolAssetSymbols,
-          bondDurationDays: bondDurationDays,
-          remainingDays: remainingDays,
-          startsInDays: daysUntilTimestamp.toFixed(0),
-          gauge: gauge,
-        };
+      const type = getNewGaugeEventType(tags);
+      if (remainingDays < 0 || !type) {
+        return;
       }
+
+      const daysUntilTimestamp =
+        (new Date(gauge.start_time) - new Date()) / (1000 * 60 * 60 * 24);
+      const poolInfo = await getPoolInfo(tags.poolId);
+      return {
+        type: type,
+        poolId: tags.poolId,
+        coins: await getCoinsInfo(gauge.coins),
+        poolAssetSymbols: poolInfo.poolAssetSymbols,
+        bondDurationDays: tags.bondDurationDays,
+        remainingDays: remainingDays,
+        startsInDays: daysUntilTimestamp.toFixed(0),
+        tags: tags,
+        gauge: gauge,
+      };
     }
     return;
   } catch (err) {
@@ -460,323 +1279,622 @@ async function gauge_isNew(delta, indexedGauges) {
   }
 }
 
-function getPoolIdFromGauge(gauge) {
+// POOL EVENTS:
+// pools are diffed like the gauges (indexed-pools.json vs indexed-pools-old.json), see config.POOL_EVENTS.
+
+/**
+ * Compares the pools with the ones of the previous poll. Pools are only refetched every config.POOLS_CACHE_SECONDS,
+ * so changes show up on the first poll after a refetch.
+ * @returns {Promise<Array>} NEW_POOL and POOL_LIQUIDITY_CHANGE events
+ */
+async function processPoolDeltas() {
+  if (config.DEBUG) {
+    out.debug("called function: processPoolDeltas()");
+  }
+  const indexedPools = (await getIndexedPools()) || {};
+  const oldIndexedPools = get_oldIndexedPools();
+  // without previous pools (first run), every pool would be new
+  if (
+    !Object.keys(indexedPools).length ||
+    !Object.keys(oldIndexedPools).length
+  ) {
+    return [];
+  }
+
+  const deltas = getDeltas(indexedPools, oldIndexedPools);
+  if (config.DELTAS.SEND_TO_FILE) {
+    overwriteDeltasFile(deltas, "pool-deltas.json");
+  }
+
+  const arrNotableEvents = [];
+  for (const change of findPoolChanges(
+    Object.keys(deltas),
+    indexedPools,
+    oldIndexedPools,
+    config.POOL_EVENTS.LIQUIDITY_CHANGE_PERCENT
+  )) {
+    const poolId = change.poolId;
+    const res =
+      change.type == "POOL_LIQUIDITY_CHANGE"
+        ? await pool_isLiquidityChanged(
+            poolId,
+            indexedPools[poolId],
+            oldIndexedPools[poolId],
+            change.liquidityChangePercent
+          )
+        : await pool_isNew(poolId, indexedPools[poolId]);
+    if (res) {
+      arrNotableEvents.push(res);
+    }
+  }
+  return arrNotableEvents;
+}
+
+async function pool_isNew(poolId, pool) {
   try {
-    const match = gauge.distribute_to.denom.match(/\d+/); // matches one or more digits
-    return (match ? parseInt(match[0]) : NaN).toString(); // convert first matched digits to number
+    const poolInfo = await getPoolInfo(poolId);
+    return {
+      type: "NEW_POOL",
+      poolId: poolId,
+      poolAssetSymbols: poolInfo.poolAssetSymbols,
+      poolType: pool.type,
+      // concentrated and cosmwasm pools have no amounts, see getPoolAssets()
+      poolCoins: pool.coins.every((coin) => coin.amount !== undefined)
+        ? await getCoinsInfo(pool.coins)
+        : undefined,
+      pool: pool,
+    };
   } catch (err) {
-    out.error("Error in getPoolIdFromGauge():");
+    out.error("Error in pool_isNew():");
     out.error(err);
-    return NaN.toString();
+    return;
   }
 }
 
-function doTelegramNotifications(arrNotableEvents) {
-  if (config.DEBUG) {
-    out.debug("called function: doTelegramNotifications()");
-  }
-  const arrTelegramNotifications = [];
-  arrNotableEvents.forEach((event) => {
-    let txt = null;
-    switch (event.type) {
-      case "NEAR_EXPIRATION":
-        txt = `<i>⚠️ LP Incentives expiring soon!</i>`;
-        txt += `\n\n🧪 Pool <b><a href="https://frontier.osmosis.zone/pool/${event.poolId}">${event.poolId} </a>(${event.poolAssetSymbols})</b>`;
-        if (event.coins) {
-          txt += `\n\nIncentives: `;
-          for (const coin of event.coins) {
-            if (event.coins.length > 1) {
-              txt += `\n`;
-            }
-            if (coin.symbol.startsWith("ft") && coin.symbol.length > 2) {
-              txt += `<b>Fan Token ${coin.symbol}</b>`;
-            } else if (coin.symbol.startsWith("ibc")) {
-              txt += `<b>${coin.symbol}</b>`;
-            } else {
-              txt += `<b>$${coin.symbol}</b>`;
-            }
-          }
-          txt += `\n\n`;
-        }
+/**
+ * Liquidity added to or removed from a pool by more than config.POOL_EVENTS.LIQUIDITY_CHANGE_PERCENT, see findPoolChanges() in ./pool-events.js.
+ * @param {*} poolId
+ * @param {*} pool current indexed pool
+ * @param {*} oldPool the same pool from the previous poll
+ * @param {Number} changePercent change of the pool's total shares
+ */
+async function pool_isLiquidityChanged(poolId, pool, oldPool, changePercent) {
+  try {
+    const poolInfo = await getPoolInfo(poolId);
+    return {
+      type: "POOL_LIQUIDITY_CHANGE",
+      poolId: poolId,
+      poolAssetSymbols: poolInfo.poolAssetSymbols,
+      poolType: pool.type,
+      poolCoins: await getCoinsInfo(pool.coins),
+      poolCoinsBefore: await getCoinsInfo(oldPool.coins),
+      liquidityChangePercent: changePercent,
+      totalShares: pool.totalShares,
+      totalSharesBefore: oldPool.totalShares,
+      pool: pool,
+    };
+  } catch (err) {
+    out.error("Error in pool_isLiquidityChanged():");
+    out.error(err);
+    return;
+  }
+}
 
-        txt += `\nUnbonding duration: <b>${event.bondDurationDays} days</b>`;
-        txt += `\nRemaining rewards: <b>${event.remainingDays} days</b>`;
-        break;
-
-      case "NEW_EXTERNAL_GAUGE":
-        txt = `<i>New External Incentives Added!</i>`;
-        txt += `\n\n🧪 Pool <b><a href="https://frontier.osmosis.zone/pool/${event.poolId}">${event.poolId} </a>(${event.poolAssetSymbols})</b>`;
-        txt += `\n⏳ Unbonding: <b>${event.bondDurationDays} days</b>`;
-        if (event.coins) {
-          txt += `\n\n💰 Rewards: `;
-          for (const coin of event.coins) {
-            if (event.coins.length > 1) {
-              txt += `\n`;
-            }
-
-            if (coin.symbol.startsWith("ft") && coin.symbol.length > 2) {
-              txt += `<b>${coin.amount / Math.pow(10, 6)} Fan Tokens (${
-                coin.symbol
-              })</b>`;
-            } else if (coin.symbol.startsWith("ibc")) {
-              txt += `<b>${coin.amount} ${coin.symbol}</b>`;
-            } else {
-              txt += `<b>${
-                coin.exponent
-                  ? coin.amount / Math.pow(10, coin.exponent)
-                  : coin.amount
-              } $${coin.symbol}</b>`;
-            }
-          }
+/**
+ * Checks for pools whose last active external gauge has ended (paid out its last epoch, or was removed),
+ * so LPs no longer earn external incentives there.
+ * @param {*} indexedGauges current gauges
+ * @param {*} oldIndexedGauges previous gauges
+ * @returns {Promise<Array>} POOL_INCENTIVES_ENDED events, one per pool, with the (last) ended gauge
+ */
+async function pool_isIncentivesEnded(indexedGauges, oldIndexedGauges) {
+  const arrNotableEvents = [];
+  try {
+    for (const { poolId, endedGauges } of findPoolsWithEndedIncentives(
+      indexedGauges,
+      oldIndexedGauges,
+      getGaugeTags,
+      classifyGauge
+    )) {
+      const gauge = endedGauges[endedGauges.length - 1];
+      const poolInfo = await getPoolInfo(poolId);
+      arrNotableEvents.push({
+        type: "POOL_INCENTIVES_ENDED",
+        poolId: poolId,
+        poolAssetSymbols: poolInfo.poolAssetSymbols,
+        coins: await getCoinsInfo(copyCoins(gauge.coins)),
+        endedGaugeIds: endedGauges.map((endedGauge) => endedGauge.id),
+        tags: getGaugeTags(gauge),
+        gauge: gauge,
+      });
+    }
+  } catch (err) {
+    out.error("Error in pool_isIncentivesEnded():");
+    out.error(err);
+  }
+  return arrNotableEvents;
+}
 
-          if (event.coins.length > 1) {
-            txt += `\n - `;
-          }
-          txt += ` <i>over ${event.gauge.num_epochs_paid_over} days</i>`;
-        }
+// NOTIFICATION VIEWS:
+// channel-neutral variables for a notable event, which each notifier (see ./notifiers) renders with its templates (see ./templates).
 
-        txt += `\n\n📆 Remaining: <b>${event.remainingDays} days</b>`;
-
-        try {
-          const timeUntilEpoch = timeUntilEpoch_fromStartTime(
-            event.gauge.start_time
-          );
-          txt += `\n⏰ Next Distribution in: <b>${timeUntilEpoch}</b>`;
-        } catch (err) {
-          out.error(
-            "Error calling timeUntilEpoch_fromStartTime() from doTelegramNotifications() [in switch case NEW_EXTERNAL_GAUGE]:"
-          );
-          out.error(err);
-        }
-        break;
-
-      case "NEW_INTERNAL_GAUGE":
-        txt = `<i>💰 New Internal (🧪 $OSMO) Incentives Added!</i>`;
-        txt += `\n\n<b>Pool <a href="https://frontier.osmosis.zone/pool/${event.poolId}">${event.poolId} </a>(${event.poolAssetSymbols})</b>`;
-        txt += `\nUnbonding duration: <b>${event.bondDurationDays} days</b>`;
-        try {
-          const timeUntilEpoch = timeUntilEpoch_fromStartTime(
-            event.gauge.start_time
-          );
-          txt += `\nReward distribution in: <b>${timeUntilEpoch}</b>`;
-        } catch (err) {
-          out.error(
-            "Error calling timeUntilEpoch_fromStartTime() from doTelegramNotifications() [in switch case NEW_INTERNAL_GAUGE]:"
-          );
-          out.error(err);
-        }
-        txt += `\nRemaining rewards: <b>${event.remainingDays} days</b>`;
-        break;
+/**
+ * @param {*} event notable event object, as created by processDeltas()
+ * @returns {*} notification view (template variables)
+ */
+function buildNotificationView(event) {
+  const view = {
+    id: getNotableEventId(event),
+    ...buildGaugeEventView(event),
+    poolUrl: event.poolId !== undefined ? getPoolUrl(event.poolId) : undefined,
+    gaugeId: event.gauge?.id,
+    blockHeight: event.block?.height,
+    blockTime: event.block?.time,
+    nextDistributionIn: event.gauge?.start_time
+      ? timeUntilEpoch_fromStartTime(event.gauge.start_time)
+      : undefined,
+    event: event,
+  };
+
+  if (event.address) {
+    view.isPersonal = true;
+    view.address = event.address;
+    view.lockIds = event.lockIds.join(", ");
+  }
 
-      case "NEW_SUPERFLUID_GAUGE":
-        txt = `<i>🌟 Superfluid Staking Enabled!</i>`;
-        txt += `\n\nPool: <b><a href="https://frontier.osmosis.zone/pool/${event.poolId}">${event.poolId} </a>(${event.poolAssetSymbols})</b>`;
-        break;
-      default:
-        break;
-    }
-    if (txt) {
-      arrTelegramNotifications.push(txt);
+  if (event.type == "EPOCH_DIGEST") {
+    view.epoch = event.epoch;
+    view.part = event.part;
+    view.isContinued = event.part > 1;
+    view.pools = event.pools.map((pool) => ({
+      poolId: pool.poolId,
+      poolAssetSymbols: pool.poolAssetSymbols,
+      poolUrl: getPoolUrl(pool.poolId),
+      events: pool.events.map(buildGaugeEventView),
+    }));
+  }
+  return view;
+}
+
+/**
+ * Template variables shared by notable events and the gauge events listed in the epoch digest.
+ * @param {*} event notable event, or an item of an EPOCH_DIGEST's pool.events
+ */
+function buildGaugeEventView(event) {
+  const view = {
+    type: event.type,
+    poolId: event.poolId,
+    poolAssetSymbols: event.poolAssetSymbols,
+    bondDurationDays: event.bondDurationDays,
+    remainingDays: event.remainingDays,
+    numEpochsPaidOver:
+      event.gauge?.num_epochs_paid_over ?? event.numEpochsPaidOver,
+    numEpochsPaidOverBefore: event.numEpochsPaidOverBefore,
+    isRemoved: event.isRemoved,
+    poolType: event.poolType,
+    liquidityChangePercent:
+      event.liquidityChangePercent === undefined
+        ? undefined
+        : Math.abs(event.liquidityChangePercent).toFixed(1), // e.g. "42.5"
+    isLiquidityDrop: event.liquidityChangePercent < 0,
+    endedGaugeIds: event.endedGaugeIds?.join(", "),
+    usdPerDay:
+      event.usdPerDay === undefined ? undefined : formatUsd(event.usdPerDay), // e.g. "1,234"
+    aprBoost:
+      event.aprBoost === undefined ? undefined : event.aprBoost.toFixed(2), // e.g. "2.35"
+    // per type flags, for templates listing several kinds of events
+    isExpired: event.type == "EXPIRED",
+    isNearExpiration: event.type == "NEAR_EXPIRATION",
+    isTopUp: event.type == "GAUGE_TOP_UP",
+    isExtended: event.type == "GAUGE_EXTENDED",
+    isStartingSoon: event.type == "STARTING_SOON",
+    isNew: /^NEW_.*_GAUGE$/.test(event.type),
+    isNewPool: event.type == "NEW_POOL",
+    isLiquidityChange: event.type == "POOL_LIQUIDITY_CHANGE",
+    isIncentivesEnded: event.type == "POOL_INCENTIVES_ENDED",
+  };
+  for (const key of [
+    "coins",
+    "coinsBefore",
+    "coinsAdded",
+    "poolCoins",
+    "poolCoinsBefore",
+  ]) {
+    if (event[key]?.length) {
+      view[key] = formatCoins(event[key]); // e.g. "1000 $OSMO, 5 ATOM"
+      view[`${key}List`] = event[key].map((coin, index) => ({
+        ...coin,
+        text: formatCoins([coin]),
+        isLast: index == event[key].length - 1,
+      }));
     }
+  }
+  view.hasMultipleCoins = event.coins?.length > 1;
+  view.coinsChanged = view.coins != view.coinsBefore;
+  return view;
+}
+
+/**
+ * @param {*} coins coins from getCoinsInfo()
+ * @returns {String} e.g. "1000 $OSMO, 5 ATOM"
+ */
+function formatCoins(coins) {
+  return coins
+    .map((coin) => {
+      if (coin.symbol.startsWith("ft") && coin.symbol.length > 2) {
+        return `${coin.amount / Math.pow(10, 6)} Fan Tokens (${coin.symbol})`;
+      } else if (coin.symbol.startsWith("ibc")) {
+        return `${coin.amount} ${coin.symbol}`;
+      }
+      return `${
+        coin.exponent ? coin.amount / Math.pow(10, coin.exponent) : coin.amount
+      } $${coin.symbol}`;
+    })
+    .join(", ");
+}
+
+/**
+ * @param {Number} value
+ * @returns {String} e.g. "1,234", or "0.42" below $10
+ */
+function formatUsd(value) {
+  return value.toLocaleString("en-US", {
+    maximumFractionDigits: value < 10 ? 2 : 0,
   });
-  processTelegramNotifications(arrTelegramNotifications);
 }
 
+function getPoolUrl(poolId) {
+  return renderString(config.TEMPLATES.POOL_URL, { poolId: poolId });
+}
+
+// NOTIFICATION POLICY:
+// decides which notable events are actually notified, based on config.NOTIFICATIONS.
+
 /**
- * Puts notifications into batches, and delays their sending.
- * @param {*} arrTelegramNotifications
+ * Filters notable events by type, bond duration, pool and reward denom (see config.NOTIFICATIONS).
+ * @param {*} arrNotableEvents notable events from processDeltas()
+ * @returns {Array} the events which should be notified
  */
-function processTelegramNotifications(arrTelegramNotifications) {
-  // add 50ms between calls.
-  // limit to 20 calls per minute.
-  let arrBatches = [];
-  let currentBatch = [];
-  const totalNotifications = arrTelegramNotifications.length;
-
-  // create batches
-  for (const telegramNotification of arrTelegramNotifications) {
-    if (currentBatch.length < config.TG_BOT.NOTIFICATION_BATCH_LIMIT) {
-      currentBatch.push({
-        batchNumber: arrBatches.length + 1,
-        notificationNumber: currentBatch.length + 1,
-        txt: telegramNotification,
-      });
-    } else {
-      arrBatches.push(currentBatch);
-      currentBatch = [];
+function applyNotificationPolicy(arrNotableEvents) {
+  if (config.DEBUG) {
+    out.debug("called function: applyNotificationPolicy()");
+  }
+  return arrNotableEvents.filter((event) => {
+    const reason = getNotificationPolicyRejection(event, config.NOTIFICATIONS);
+    if (reason && config.DEBUG) {
+      out.debug(`Not notifying ${getNotableEventId(event)}: ${reason}`);
     }
+    return !reason;
+  });
+}
+
+// WALLET WATCH:
+// personal alerts for watched wallets (config.WALLETS.ADDRESSES, or "/watch wallet" in the telegram bot) whose locks earn from a gauge which is about to expire, or has expired.
+
+/**
+ * @returns {String[]} addresses from config.WALLETS.ADDRESSES and from every channel's subscriptions
+ */
+function getWatchedWallets() {
+  return [
+    ...new Set([
+      ...Object.keys(config.WALLETS.ADDRESSES || {}),
+      ...getWatchedValues("wallets"),
+    ]),
+  ];
+}
+
+/**
+ * @param {String} address osmo1...
+ * @returns {Promise<Array>} the wallet's locks, e.g. [{ID, owner, duration: "1209600s", end_time, coins: [{denom: "gamm/pool/1", amount}]}]
+ */
+async function getWalletLocks(address) {
+  const json = await callAPI(
+    `/osmosis/lockup/v1beta1/account_locked_longer_duration/${address}`,
+    getPinnedHeightOptions()
+  ).then((res) => res.json());
+  if (!Array.isArray(json?.locks)) {
+    throw new Error(`Unexpected response: ${JSON.stringify(json)}`);
   }
-  if (currentBatch.length > 0) {
-    arrBatches.push(currentBatch);
+  return json.locks;
+}
+
+// NOTIFICATION OUTBOX:
+// notable events are persisted to ./cache/notification-outbox.json with a "notified" flag per destination.
+// The flag only flips once the destination confirms delivery, so anything unsent is retried on the next run.
+
+/**
+ * Stable ID for a notable event, so the same event detected again is never queued twice.
+ * @param {*} event notable event object, as created by processDeltas()
+ * @returns {String} event ID
+ */
+function getNotableEventId(event) {
+  switch (event.type) {
+    case "NEAR_EXPIRATION":
+      return `${event.type}:${event.gauge.id}:${event.remainingDays}`;
+    case "GAUGE_TOP_UP":
+      return `${event.type}:${event.gauge.id}:${event.gauge.coins
+        .map((coin) => coin.amount + coin.denom)
+        .join(",")}`;
+    case "GAUGE_EXTENDED":
+      return `${event.type}:${event.gauge.id}:${event.gauge.num_epochs_paid_over}`;
+    case "EPOCH_DIGEST":
+      return `${event.type}:${event.epoch}:${event.part}`;
+    case "NEW_POOL":
+      return `${event.type}:${event.poolId}`;
+    case "POOL_LIQUIDITY_CHANGE":
+      return `${event.type}:${event.poolId}:${event.totalShares}`;
+    case "POOL_INCENTIVES_ENDED":
+      return `${event.type}:${event.poolId}:${event.gauge.id}`;
+    case "WALLET_NEAR_EXPIRATION":
+      return `${event.type}:${event.address}:${event.gauge.id}:${event.remainingDays}`;
+    case "WALLET_EXPIRED":
+      return `${event.type}:${event.address}:${event.gauge.id}`;
+    default:
+      return `${event.type}:${event.gauge.id}`;
   }
+}
 
-  // set interval to call each batch
-  for (let index = 0; index < arrBatches.length; index++) {
-    const batch = arrBatches[index];
-    setTimeout(() => {
-      processTelegramNotificationBatch(batch);
-    }, config.TG_BOT.NOTIFICATION_BATCH_INTERVAL_MS * index);
-    out.info(
-      `Processing notification batch of size: ${batch.length} in ${
-        config.TG_BOT.NOTIFICATION_BATCH_INTERVAL_MS * index
-      }ms`
-    );
+/**
+ * Destinations a notable event should be delivered to, e.g. "telegram:-100123123123" or "discord:community"
+ * @param {*} event notable event object
+ * @returns {String[]} destination keys
+ */
+function getNotificationDestinations(event) {
+  const destinations = [];
+  // these are only reported in the epoch digest
+  if (
+    config.DIGEST.ENABLED &&
+    config.DIGEST.REPLACE_EVENT_TYPES.includes(event.type)
+  ) {
+    return destinations;
   }
+  const view = buildNotificationView(event);
+  for (const name in notifiers) {
+    const notifier = notifiers[name];
+    if (notifier.isEnabled() && notifier.format(view)) {
+      // personal alerts only go to whoever watches the wallet, never to the broadcast targets
+      const targets = view.isPersonal
+        ? getSubscribedTargets(name, view)
+        : notifier.getTargets(view);
+      for (const target of targets) {
+        destinations.push(`${name}:${target}`);
+      }
+    }
+  }
+  if (view.isPersonal) {
+    for (const destination of config.WALLETS.ADDRESSES?.[event.address] || []) {
+      const notifier = notifiers[destination.split(":")[0]];
+      if (
+        notifier?.isEnabled() &&
+        notifier.format(view) &&
+        !destinations.includes(destination)
+      ) {
+        destinations.push(destination);
+      }
+    }
+  }
+  return destinations;
 }
 
-function processTelegramNotificationBatch(arrTelegramNotificationBatch) {
-  out.command(
-    `Process notification batch of size ${arrTelegramNotificationBatch.length}`
+/**
+ * Adds notable events to the outbox (see ./outbox.js), with the destinations they should be delivered to.
+ * @param {*} arrNotableEvents notable events from processDeltas()
+ */
+function enqueueNotableEvents(arrNotableEvents) {
+  if (config.DEBUG) {
+    out.debug("called function: enqueueNotableEvents()");
+  }
+  const queued = enqueueEvents(
+    arrNotableEvents,
+    getNotableEventId,
+    getNotificationDestinations
   );
+  out.success(`... queued ${queued} new notable event(s) in the outbox`);
+}
 
-  for (let index = 0; index < arrTelegramNotificationBatch.length; index++) {
-    const notification = arrTelegramNotificationBatch[index];
-    setTimeout(() => {
-      doTelegramNotification(notification);
-    }, config.TG_BOT.NOTIFICATION_INTERVAL_MS * index);
+/**
+ * Sends everything pending in the outbox (see drainOutbox() in ./outbox.js).
+ */
+async function drainNotificationOutbox() {
+  if (config.DEBUG) {
+    out.debug("called function: drainNotificationOutbox()");
   }
+  return drainOutbox({
+    notifiers: notifiers,
+    buildView: buildNotificationView,
+    isStopping: () => daemon.stopping,
+  });
 }
 
+// EPOCH DIGEST:
+// a single message per epoch summarising the gauge events since the previous digest, grouped by pool.
+
 /**
- * creates and returns an API fetch response.
- * @param {String} path path to REST method after the baseURL
- * @returns {Promise} unresolved fetch promise
+ * Builds the digest event(s) for the current epoch from the outbox entries created since the last digest.
+ * Long digests are split over several events (config.DIGEST.MAX_POOLS_PER_MESSAGE pools each).
+ * @returns {Promise<Array>} EPOCH_DIGEST notable events (empty if there's nothing to report)
  */
-async function callAPI(path, retries = 0) {
-  let res = {};
-  try {
-    if (retries > config.API.RETRY_ATTEMPTS) {
-      out.error("Too many retry attempts");
-      return res;
-    }
-    console.info(`Fetching (from API): ${config.API.URL + path}`);
-
-    res = await fetchWithTimeout(config.API.URL + path, {
-      timeout: config.API.TIMEOUT_MS,
-    }).catch(async () => {
-      out.error(
-        `Error fetching from API in callAPI()${
-          retries > 0 ? " (retry #" + retries + ")" : ""
-        }:`
-      );
+async function buildEpochDigests() {
+  if (config.DEBUG) {
+    out.debug("called function: buildEpochDigests()");
+  }
+  const epoch = await getEpochInfo();
+  const epochNumber =
+    epoch.currentEpoch ??
+    epoch.currentEpochStartTime.toISOString().slice(0, 10);
+  const outbox = getOutbox();
+  const entries = Object.values(outbox.events);
+
+  // everything since the last digest (or the last epoch, if there's never been one)
+  let since = Date.now() - epoch.durationMs;
+  for (const entry of entries) {
+    if (entry.event.type == "EPOCH_DIGEST") {
+      since = Math.max(since, new Date(entry.createdAt).getTime());
+    }
+  }
 
-      console.info(
-        `Fetching (from Failover API): ${config.API.FAILOVER_URL + path}`
-      );
-      return await fetchWithTimeout(config.API.FAILOVER_URL + path, {
-        timeout: config.API.TIMEOUT_MS,
-      }).catch(async () => {
-        out.error(
-          `Error fetching from FAILOVER API in callAPI()${
-            retries > 0 ? " (retry #" + retries + ")" : ""
-          }:`
-        );
-        return new Promise((resolve) => {
-          setTimeout(() => {
-            if (retries <= config.TG_BOT.NOTIFICATION_RETRIES) {
-              resolve(callAPI(path, retries + 1));
-            } else {
-              //TODO: instead of logging the failed notifications, we should rather have a notification service running seperately from the notable-events which have a "notified" flag which is updated on success only.
-            }
-          }, config.API.RETRY_INTERVAL_MS);
-        });
-      });
+  const indexedPoolDigests = {};
+  for (const entry of entries) {
+    const event = entry.event;
+    if (
+      new Date(entry.createdAt).getTime() <= since ||
+      !config.DIGEST.EVENT_TYPES.includes(event.type)
+    ) {
+      continue;
+    }
+    if (!indexedPoolDigests[event.poolId]) {
+      indexedPoolDigests[event.poolId] = {
+        poolId: event.poolId,
+        poolAssetSymbols: event.poolAssetSymbols,
+        events: [],
+      };
+    }
+    indexedPoolDigests[event.poolId].events.push({
+      type: event.type,
+      gaugeId: event.gauge?.id,
+      coins: event.coins,
+      bondDurationDays: event.bondDurationDays,
+      remainingDays: event.remainingDays,
+      numEpochsPaidOver: event.gauge?.num_epochs_paid_over,
+      numEpochsPaidOverBefore: event.numEpochsPaidOverBefore,
+      coinsAdded: event.coinsAdded,
+      usdPerDay: event.usdPerDay,
+      aprBoost: event.aprBoost,
     });
-  } catch (err) {
-    out.error(
-      `Error fetching from API in callAPI()${
-        retries > 0 ? " (retry #" + retries + ")" : ""
-      }:`
-    );
-    out.error(err);
+  }
+
+  const poolDigests = Object.values(indexedPoolDigests).sort(
+    (a, b) => a.poolId - b.poolId
+  );
+  const digests = [];
+  for (
+    let index = 0;
+    index < poolDigests.length;
+    index += config.DIGEST.MAX_POOLS_PER_MESSAGE
+  ) {
+    digests.push({
+      type: "EPOCH_DIGEST",
+      epoch: epochNumber,
+      part: digests.length + 1,
+      pools: poolDigests.slice(
+        index,
+        index + config.DIGEST.MAX_POOLS_PER_MESSAGE
+      ),
+    });
+  }
+  return digests;
+}
+
+/**
+ * creates and returns an API fetch response, from the healthiest of config.API.ENDPOINTS (see ./endpoints.js)
+ * @param {String} path path to REST method after the baseURL
+ * @param {*} options { height } to query the state at that block height, see getPinnedHeightOptions()
+ * @returns {Promise} unresolved fetch promise, rejected if no endpoint answered after config.API.RETRY_ATTEMPTS
+ */
+async function callAPI(path, options = {}) {
+  return fetchFromEndpoints(path, options);
+}
 
-    // out.error(
-    //   `Error fetching from API in callAPI()${
-    //     retries > 0 ? " (retry #" + retries + ")" : ""
-    //   }:`
-    // );
-    // out.info(config.API.URL + path);
-    // out.error(err);
-    // try {
-    //   res = await fetch(config.API.FAILOVER_URL + path).catch;
-    // } catch (err) {
-    //   out.error("Error fetching from FAILOVER API in callAPI():");
-    //   console.log(config.API.FAILOVER_URL + path);
-    //   out.error(err);
-    // }
+/**
+ * With config.API.PIN_HEIGHT, queries related to the polled gauges (pools, wallet locks) are read at the gauges' block.
+ * @returns {*} callAPI() options
+ */
+function getPinnedHeightOptions() {
+  return {
+    height: config.API.PIN_HEIGHT ? pollBlock?.height : undefined,
+  };
+}
+
+/**
+ * Records the block the events' gauges were read at (see fetchGauges()), e.g. for "as of block N" in notifications.
+ * @param {Array} events notable events
+ * @param {*} block { height, time }, or null if unknown
+ * @returns {Array} the same events
+ */
+function setEventsBlock(events, block) {
+  for (const event of events) {
+    event.block = block || undefined;
   }
-  return res;
+  return events;
 }
 
+/**
+ * @param {Array} coins e.g. gauge.coins
+ * @returns {Promise<Array>} copies of the coins with their symbol, exponent etc. (see resolveDenom() in ./assets.js)
+ */
 async function getCoinsInfo(coins) {
-  const arrCoinsInfo = [];
-  for (const coin of coins) {
-    let coinInfo = coin;
-    // NATIVE
-    if (coin.denom == "uosmo") {
-      coinInfo.symbol = "OSMO";
-      coinInfo.exponent = 6;
-      arrCoinsInfo.push(coinInfo);
-      continue;
-    }
-    if (coin.denom == "uion") {
-      coinInfo.symbol = "ION";
-      coinInfo.exponent = 6;
-      arrCoinsInfo.push(coinInfo);
-      continue;
-    }
+  return resolveCoins(coins);
+}
 
-    // IBC ASSET
-    if (coin.denom.includes("ibc/")) {
-      let lookup = await assetLookupFromAssetlist(coin.denom);
-      if (!lookup?.symbol) {
-        lookup = await ibcBaseDenomLookup(coin.denom);
-      }
-      coinInfo = { ...coinInfo, ...lookup };
-      arrCoinsInfo.push(coinInfo);
-      continue;
-    }
+// PRICING:
 
-    // GAMM
-    if (coin.denom.includes("gamm/pool")) {
-      coinInfo.symbol = coin.denom;
-      arrCoinsInfo.push(coinInfo);
+/**
+ * Adds usdPerDay (USD value of the rewards distributed per day) and aprBoost (% APR the gauge adds, relative to the whole pool liquidity)
+ * to the events of gauges which are still distributing. Either is left out if an asset has no price (config.PRICES) or exponent.
+ * @param {Array} events notable events
+ */
+async function setEventsValue(events) {
+  const prices = await getPrices();
+  for (const event of events) {
+    if (
+      !event.gauge ||
+      !event.coins?.length ||
+      ["EXPIRED", "POOL_INCENTIVES_ENDED"].includes(event.type)
+    ) {
       continue;
     }
-
-    // TOKENFACTORY
-    if (coin.denom.includes("factory")) {
-      coinInfo.symbol = coin.denom;
-      arrCoinsInfo.push(coinInfo);
+    const usdPerDay = getUsdValue(getDailyRewards(event), prices);
+    if (usdPerDay === undefined) {
       continue;
     }
+    event.usdPerDay = usdPerDay;
+    const liquidity = getUsdValue(
+      await getCoinsInfo(await getPoolCoins(event.poolId)),
+      prices
+    );
+    if (liquidity > 0) {
+      event.aprBoost = ((usdPerDay * 365) / liquidity) * 100;
+    }
   }
-  return arrCoinsInfo;
+}
+
+/**
+ * Perpetual gauges distribute everything they hold every epoch, the others spread their coins over num_epochs_paid_over.
+ * Epochs are days (config.EPOCH.IDENTIFIER).
+ * @param {*} event notable event with gauge and coins (from getCoinsInfo())
+ * @returns {Array} coins distributed per day
+ */
+function getDailyRewards(event) {
+  const gauge = event.gauge;
+  return event.coins.map((coin) => {
+    const distributed =
+      gauge.distributed_coins?.find((d) => d.denom == coin.denom)?.amount || 0;
+    return {
+      ...coin,
+      amount: gauge.is_perpetual
+        ? coin.amount - distributed
+        : coin.amount / gauge.num_epochs_paid_over,
+    };
+  });
+}
+
+/**
+ * @param {*} poolId
+ * @returns {Promise<Array>} the pool's liquidity, e.g. [{denom: "uosmo", amount: "1000"}], empty if unknown
+ */
+async function getPoolCoins(poolId) {
+  const pool = (await getIndexedPools())[poolId];
+  return (pool?.coins || []).map((coin) => ({ ...coin }));
 }
 
 async function getPoolInfo(poolId) {
   // TODO: make call to https://rest.cosmos.directory/osmosis/osmosis/gamm/v1beta1/pools and cache it, and cross reference.
 
   try {
-    const indexedPools = await getIndexedPools();
-
-    // const json = await callAPI("/osmosis/gamm/v1beta1/pools/" + poolId).then(
-    //   (res) => res.json()
-    // );
-
     // get denoms from pool:
     let arrDenoms = [];
     try {
-      const pool = indexedPools[poolId];
-      if (/* normal pool */ pool?.pool_assets) {
-        for (const asset of pool.pool_assets) {
-          arrDenoms.push(asset.token.denom);
-        }
-      } else if (/* stable pool */ pool?.pool_liquidity) {
-        for (const asset of pool.pool_liquidity) {
-          arrDenoms.push(asset.denom);
-        }
-      }
+      arrDenoms = (await getPoolCoins(poolId)).map((coin) => coin.denom);
     } catch (err) {
       out.error("getPoolInfo() - Error getting denoms from pool");
       out.error(err);
@@ -786,40 +1904,7 @@ async function getPoolInfo(poolId) {
     const poolAssetSymbols = [];
     try {
       for (const denom of arrDenoms) {
-        // pool can contain ibc tokens, tokenfactory tokens, gamms, native...
-
-        // NATIVE
-        if (denom == "uosmo") {
-          poolAssetSymbols.push("OSMO");
-          continue;
-        }
-        if (denom == "uion") {
-          poolAssetSymbols.push("ION");
-          continue;
-        }
-
-        // IBC ASSET
-        if (denom.includes("ibc/")) {
-          let lookup = await assetLookupFromAssetlist(denom);
-          if (!lookup?.symbol) {
-            lookup = await ibcBaseDenomLookup(denom);
-          }
-
-          poolAssetSymbols.push(lookup.symbol);
-          continue;
-        }
-
-        // GAMM
-        if (denom.includes("gamm/pool")) {
-          poolAssetSymbols.push(denom);
-          continue;
-        }
-
-        // TOKENFACTORY
-        if (denom.includes("factory")) {
-          poolAssetSymbols.push(denom);
-          continue;
-        }
+        poolAssetSymbols.push((await resolveDenom(denom)).symbol);
       }
     } catch (err) {
       out.error("getPoolInfo() - Error getting token name from denom");
@@ -840,68 +1925,110 @@ async function getIndexedPools() {
   let indexedPools;
   try {
     // Do some checks first
-    if (isIndexedPoolsExpired()) {
-      indexedPools = saveIndexedPoolsFromPools();
+    if (isIndexedPoolsExpired() || isIndexedPoolsAtOtherHeight()) {
+      indexedPools = await saveIndexedPoolsFromPools();
     } else {
       try {
         indexedPools = getIndexedPoolsFromCache();
         // check if its empty
         if (Object.keys(indexedPools).length === 0) {
-          indexedPools = saveIndexedPoolsFromPools();
+          indexedPools = await saveIndexedPoolsFromPools();
         }
       } catch (err) {
         out.error(`Error in getIndexedPools()`);
         out.error(err);
-        process.exit(0);
+        abortRun(err);
       }
     }
     return indexedPools;
   } catch (err) {
     out.error("Error in getIndexedPools()");
     out.error(err);
-    process.exit(0);
+    abortRun(err);
   }
 }
 
 function isIndexedPoolsExpired() {
-  const stats = fs.statSync("./cache/indexed-pools.json");
+  const modifiedTime = storage.getModifiedTime("indexed-pools.json");
   return (
-    (Date.now() - stats.mtime.getTime()) / 1000 > config.POOLS_CACHE_SECONDS
+    (Date.now() - modifiedTime.getTime()) / 1000 > config.POOLS_CACHE_SECONDS
   );
 }
 
+/**
+ * With config.API.PIN_HEIGHT, pools are read at the same block as the gauges, so they're refetched once per poll.
+ * @returns {Boolean}
+ */
+function isIndexedPoolsAtOtherHeight() {
+  const { height } = getPinnedHeightOptions();
+  return height !== undefined && height !== indexedPoolsHeight;
+}
+
 function getIndexedPoolsFromCache() {
   try {
-    let fileContent = fs.readFileSync("./cache/indexed-pools.json");
+    let fileContent = storage.readFile("indexed-pools.json");
     const indexedPools = JSON.parse(fileContent);
+    // indexed before pool types were detected, index them again
+    if (Object.values(indexedPools).some((pool) => !pool.type)) {
+      return {};
+    }
     return indexedPools;
   } catch (err) {
     out.error("Error in getIndexedPoolsFromCache");
     out.error(err);
+    return {};
   }
 }
 
 /**
- * @returns {indexedPools} indexedPools;
+ * If the pools can't be fetched, the cached indexed-pools.json (possibly stale, or at another height) is used until the next poll.
+ * @returns {Promise<indexedPools>} indexedPools;
  */
 async function saveIndexedPoolsFromPools() {
-  const pools = await fetchPoolsFromAPI();
+  const { height } = getPinnedHeightOptions();
+  const pools = isPoolsFetchFailed
+    ? undefined
+    : await fetchPoolsFromAPI(height);
+  if (!pools) {
+    if (!isPoolsFetchFailed) {
+      out.warn("Using the cached indexed-pools.json until the next poll.");
+    }
+    isPoolsFetchFailed = true;
+    return getIndexedPoolsFromCache();
+  }
   const indexedPools = indexPools(pools);
   saveIndexedPools(indexedPools);
+  indexedPoolsHeight = height;
   return indexedPools;
 }
 
-async function fetchPoolsFromAPI() {
+// balancer and stableswap (gamm), concentrated liquidity and cosmwasm pools
+const POOL_LIST_PATHS = [
+  "/osmosis/gamm/v1beta1/pools",
+  "/osmosis/concentratedliquidity/v1beta1/pools",
+  "/osmosis/cosmwasmpool/v1beta1/pools",
+];
+
+/**
+ * @param {Number} height block height to read the pools at, or undefined for the latest
+ * @returns {Promise<Array>} pools, undefined if they couldn't be fetched
+ */
+async function fetchPoolsFromAPI(height) {
   if (config.DEBUG) {
     out.debug("called function:fetchPoolsFromAPI()");
   }
   try {
     out.info("Fetching pools from API (this may take a moment)...");
-    const data = await callAPI(
-      "/osmosis/gamm/v1beta1/pools?pagination.limit=9999"
-    ).then((res) => res.json());
-    out.success("Pools data fetched from API!");
-    return data?.pools ? data.pools : {};
+    // poolmanager's all-pools isn't paginated, so every pool module's own (paginated) list instead
+    const pools = new Map();
+    for (const path of POOL_LIST_PATHS) {
+      const { items } = await fetchAllPages(path, "pools", { height: height });
+      for (const pool of items) {
+        pools.set(pool.id ?? pool.pool_id, pool);
+      }
+    }
+    out.success(`${pools.size} pools fetched from API!`);
+    return [...pools.values()];
   } catch (err) {
     out.error("Unable to fetch pools from API:");
     out.error(err.message);
@@ -913,9 +2040,10 @@ function indexPools(pools) {
   try {
     for (const pool of pools) {
       try {
-        indexedPools[pool.id] = {
-          pool_assets: pool?.pool_assets,
-          pool_liquidity: pool?.pool_liquidity,
+        indexedPools[pool.id ?? pool.pool_id] = {
+          type: getPoolType(pool),
+          coins: getPoolAssets(pool),
+          totalShares: pool.total_shares?.amount, // balancer and stableswap pools only
         };
       } catch (err) {
         out.error("Error in indexPools()");
@@ -926,109 +2054,86 @@ function indexPools(pools) {
   } catch (err) {
     out.error(`Unable to index pools`);
     out.error(err);
-    process.exit(0);
+    abortRun(err);
   }
 }
 
-function saveIndexedPools(indexedPools) {
-  const filename = "./cache/indexed-pools.json";
-  try {
-    fs.writeFileSync(filename, JSON.stringify(indexedPools));
-    out.success(`... updated ${filename}`);
-  } catch (err) {
-    out.error(`Unable to save ${filename}:`);
-    out.error(err.message);
-    return;
-  }
-}
-
-async function ibcBaseDenomLookup(denom) {
-  try {
-    const denom_hex = denom.slice(4);
-    const json = await callAPI(
-      "/ibc/apps/transfer/v1/denom_traces/" + denom_hex
-    ).then((res) => res.json());
+const POOL_TYPES = {
+  "/osmosis.gamm.v1beta1.Pool": "balancer",
+  "/osmosis.gamm.poolmodels.stableswap.v1beta1.Pool": "stableswap",
+  "/osmosis.concentratedliquidity.v1beta1.Pool": "concentrated",
+  "/osmosis.cosmwasmpool.v1beta1.CosmWasmPool": "cosmwasm",
+};
 
-    return { symbol: json?.denom_trace?.base_denom };
-  } catch (err) {
-    out.error(`ibcBaseDenomLookup("${denom}")`);
-    out.error(err);
-  }
+/**
+ * @param {*} pool pool from the API (any pool module)
+ * @returns {String} "balancer", "stableswap", "concentrated", "cosmwasm" or "unknown"
+ */
+function getPoolType(pool) {
+  return POOL_TYPES[pool["@type"]] || "unknown";
 }
 
-async function assetLookupFromAssetlist(denom) {
-  try {
-    const indexedAssetlist = await getIndexedAssetList();
-    const asset = indexedAssetlist[denom];
-
-    if (asset) {
-      // out.success("found " + asset?.symbol);
-      return {
-        symbol: asset?.symbol ? asset.symbol : asset.base,
-        exponent: asset?.denom_units[1]?.exponent,
-      };
-    }
-  } catch (err) {
-    out.error(`assetLookupFromAssetlist("${denom}")`);
-    out.error(err);
+/**
+ * @param {*} pool pool from the API (any pool module)
+ * @returns {Array} the pool's assets, e.g. [{denom: "uosmo", amount: "1000"}]. Concentrated and cosmwasm pools
+ *  don't hold their liquidity in the pool object, so their assets have no amount.
+ */
+function getPoolAssets(pool) {
+  switch (getPoolType(pool)) {
+    case "balancer":
+      return pool.pool_assets.map((asset) => asset.token);
+    case "stableswap":
+      return pool.pool_liquidity;
+    case "concentrated":
+      return [{ denom: pool.token0 }, { denom: pool.token1 }];
+    case "cosmwasm":
+      return getCosmWasmPoolDenoms(pool).map((denom) => ({ denom: denom }));
+    default:
+      return [];
   }
 }
 
-async function getIndexedAssetList() {
-  let indexedAssetlist;
+/**
+ * Cosmwasm pools (e.g. transmuter) only declare their assets in the contract's instantiate message.
+ * @param {*} pool cosmwasm pool
+ * @returns {String[]} denoms, empty if the contract's message isn't known
+ */
+function getCosmWasmPoolDenoms(pool) {
   try {
-    if (isAssetlistExpired()) {
-      indexedAssetlist = await saveIndexedAssetListFromAssetlist();
-    } else {
-      try {
-        indexedAssetlist = getIndexedAssetListFromCache();
-        // check if its empty
-        if (Object.keys(indexedAssetlist).length === 0) {
-          indexedAssetlist = await saveIndexedAssetListFromAssetlist();
-        }
-      } catch (err) {
-        out.error(`Error in getIndexedAssetList()`);
-        out.error(err);
-        process.exit(0);
-      }
+    const msg = JSON.parse(
+      Buffer.from(pool.instantiate_msg, "base64").toString()
+    );
+    if (msg.pool_asset_denoms) {
+      return msg.pool_asset_denoms;
     }
-    return indexedAssetlist;
+    return (msg.pool_asset_configs || []).map((asset) => asset.denom);
   } catch (err) {
-    out.error("Error in getIndexedAssetList()");
-    out.error(err);
-    process.exit(0);
+    return [];
   }
 }
 
-function getIndexedAssetListFromCache() {
+function get_oldIndexedPools() {
   try {
-    let fileContent = fs.readFileSync("./cache/indexed-assetlist.json");
-    const indexedAssetlist = JSON.parse(fileContent);
-    return indexedAssetlist;
+    return JSON.parse(storage.readFile("indexed-pools-old.json")) || {};
   } catch (err) {
-    out.error("Error in getIndexedAssetListFromCache");
+    out.error("Error in get_oldIndexedPools():");
     out.error(err);
+    return {};
   }
 }
 
-function isAssetlistExpired() {
-  const stats = fs.statSync("./cache/indexed-assetlist.json");
-  return (
-    (Date.now() - stats.mtime.getTime()) / 1000 > config.ASSETLIST_CACHE_SECONDS
-  );
-}
-
-async function saveIndexedAssetListFromAssetlist() {
-  const assetlist = await getAssetList();
-  const indexedAssetlist = indexAssetlist(assetlist);
-  saveIndexedAssetList(indexedAssetlist);
-  return indexedAssetlist;
+function save_oldIndexedPools() {
+  if (!storage.exists("indexed-pools.json")) {
+    return;
+  }
+  storage.copyFile("indexed-pools.json", "indexed-pools-old.json");
+  out.success("... updated indexed-pools-old.json");
 }
 
-function saveIndexedAssetList(indexedAssetlist) {
-  const filename = "./cache/indexed-assetlist.json";
+function saveIndexedPools(indexedPools) {
+  const filename = "indexed-pools.json";
   try {
-    fs.writeFileSync(filename, JSON.stringify(indexedAssetlist));
+    storage.writeFile(filename, JSON.stringify(indexedPools));
     out.success(`... updated ${filename}`);
   } catch (err) {
     out.error(`Unable to save ${filename}:`);
@@ -1037,215 +2142,321 @@ function saveIndexedAssetList(indexedAssetlist) {
   }
 }
 
-// create the indexedAssetlist from assetlist.
-// this makes later referencing on a lot quicker.
+async function initializeFiles() {
+  const filenames = [
+    "assetlist.json" /* raw assetlist as per osmosis github */,
+    "assets.json" /* resolved denoms (symbol, exponent, IBC trace...), see ./assets.js */,
+    "deltas.json" /* gauge changes */,
+    "gauges.json" /* raw gauges as per osmosis api*/,
+    "indexed-assetlist.json" /* assetlist, but keys are denom bases, and most of the data is stripped.*/,
+    "indexed-gauges.json" /* gauges, but keys are gauge id */,
+    "indexed-gauges-old.json" /* record of outdated (previous) indexed gauges */,
+    "gauge-tags.json" /* tags of every gauge (pool, lock duration, internal / external...), see ./gauge-classifier.js */,
+    "indexed-pools.json" /* pools, but keys are pool-ids */,
+    "indexed-pools-old.json" /* record of outdated (previous) indexed pools (config.POOL_EVENTS) */,
+    "notable-events.json" /* latest events which should be notified*/,
+    "notification-outbox.json" /* notable events with a "notified" status per destination */,
+    "subscriptions.json" /* pools / denoms / durations watched per chat (telegram bot) */,
+  ];
 
-/**
- * create the indexedAssetlist from assetlist. this makes later lookups a lot quicker.
- * @param {assetlist}
- * @returns {indexedAssetList} indexedAssetList
- */
-function indexAssetlist(assetlist) {
-  let indexedAssetlist = {};
-  try {
-    for (const asset of assetlist.assets) {
-      try {
-        indexedAssetlist[asset.base] = {
-          symbol: asset?.symbol,
-          denom_units: asset?.denom_units[1],
-        };
-      } catch (err) {
-        out.error("Error in indexAssetlist()");
-        out.error(err);
+  for (const filename of filenames) {
+    try {
+      if (!storage.exists(filename)) {
+        storage.writeFile(filename, "{}");
+        out.success(`File '${filename}' created successfully!`);
       }
+    } catch (err) {
+      out.error(`initializeFiles: ${filename}`);
+      out.error(err);
+      abortRun(err);
     }
-    return indexedAssetlist;
-  } catch (err) {
-    out.error(`Unable to index assetlist`);
-    out.error(err);
-    process.exit(0);
   }
 }
 
+// HTTP API:
+// read-only endpoints for 3rd party applications (see config.HTTP_API and ./http-api.js), served while the daemon runs.
+
+function getHttpApiRoutes() {
+  return {
+    // gauges with their tags (see ./gauge-classifier.js), e.g. /gauges?poolId=1&tag=isExternal,isNoLock
+    "/gauges": async (params, query) => {
+      const indexedGauges = readCacheFile("indexed-gauges.json");
+      const indexedTags = readCacheFile("gauge-tags.json");
+      const requiredTags = query.tag ? query.tag.split(",") : [];
+      const filtered = {};
+      for (const id in indexedGauges) {
+        const tags = indexedTags[id] || classifyGauge(indexedGauges[id]);
+        if (
+          (query.poolId === undefined || tags.poolId == query.poolId) &&
+          requiredTags.every((tag) => tags[tag] === true)
+        ) {
+          filtered[id] = { ...indexedGauges[id], tags: tags };
+        }
+      }
+      return filtered;
+    },
+    "/gauges/:id": async (params) => {
+      const gauge = readCacheFile("indexed-gauges.json")[params.id];
+      if (!gauge) {
+        return;
+      }
+      return {
+        ...gauge,
+        tags:
+          readCacheFile("gauge-tags.json")[params.id] || classifyGauge(gauge),
+      };
+    },
+    // jsondiffpatch deltas of the latest poll
+    "/deltas": async () => readCacheFile("deltas.json"),
+    // notable events of the latest poll (before the notification policy)
+    "/events/latest": async () =>
+      readCacheFile("notable-events.json").data || [],
+    // notable events queued in the outbox (within OUTBOX.RETENTION_DAYS), i.e. the ones config.NOTIFICATIONS lets through, see getHttpApiEvents()
+    "/events": async (params, query) => getHttpApiEvents(query),
+    // health of the API endpoints, healthiest first, see ./endpoints.js
+    "/endpoints": async () => getEndpointsHealth(),
+    // every poll's deltas and events since a cursor, see ./history.js
+    "/history": async (params, query) => {
+      if (!config.HISTORY?.ENABLED) {
+        return;
+      }
+      // cursors are timestamps (ms)
+      const since = query.since
+        ? parseHttpApiInteger(query.since, "since", 0, MAX_DATE_MS)
+        : 0;
+      const limit = query.limit
+        ? parseHttpApiInteger(query.limit, "limit", 1, Number.MAX_SAFE_INTEGER)
+        : 100;
+      return readHistorySince(since, limit);
+    },
+    // as of the last poll (refetching the pools is left to the polls)
+    "/pools/:id": async (params) => {
+      const pool = readCacheFile("indexed-pools.json")[params.id];
+      if (!pool) {
+        return;
+      }
+      return {
+        poolId: params.id,
+        poolAssetSymbols: (await resolveCoins(pool.coins || []))
+          .map((coin) => coin.symbol)
+          .join(" / "),
+        poolUrl: getPoolUrl(params.id),
+        pool: pool,
+      };
+    },
+    // e.g. /assets/ibc%2F27394FB092D2ECCD56123C74F36E4C1F926001CEADA9CA97EA622B25F41E5EB2
+    // denoms the polls have resolved only, a client's denom never triggers a lookup
+    "/assets/:denom": async (params) => getResolvedDenom(params.denom),
+  };
+}
+
 /**
- * return assetlist from cache, or fetch from API if older than config.API.ASSETLIST_CACHE_SECONDS
- * @returns {assetList} assetlist
+ * @param {*} query filters: type (comma separated), poolId, since / until (ISO date or unix ms), limit
+ * @returns {Array} [{id, createdAt, event}], oldest first
  */
-async function getAssetList() {
-  let assetlist;
-  const filename = "./cache/assetlist.json";
+function getHttpApiEvents(query) {
+  const types = query.type ? query.type.split(",") : null;
+  const since = query.since ? parseHttpApiDate(query.since) : -Infinity;
+  const until = query.until ? parseHttpApiDate(query.until) : Infinity;
+  const limit = query.limit
+    ? parseHttpApiInteger(query.limit, "limit", 1, Number.MAX_SAFE_INTEGER)
+    : Infinity;
+
+  return Object.values(getOutbox().events)
+    .filter((entry) => {
+      const createdAt = new Date(entry.createdAt).getTime();
+      return (
+        (!types || types.includes(entry.event.type)) &&
+        (query.poolId === undefined ||
+          String(entry.event.poolId) == query.poolId) &&
+        createdAt >= since &&
+        createdAt <= until
+      );
+    })
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+    .slice(-limit)
+    .map((entry) => ({
+      id: entry.id,
+      createdAt: entry.createdAt,
+      event: entry.event,
+    }));
+}
 
-  // check if assetlist has expired
-  try {
-    const stats = fs.statSync(filename);
-    if (
-      (Date.now() - stats.mtime.getTime()) / 1000 >
-      config.ASSETLIST_CACHE_SECONDS
-    ) {
-      out.info("fetchFromAPI()");
-      return await fetchAssetlistFromAPI();
-    }
-  } catch (err) {
-    out.error(`Unable to read ${filename}`);
-    out.error(err);
-    process.exit(0);
+// largest timestamp a Date can hold
+const MAX_DATE_MS = 8.64e15;
+
+/**
+ * @param {String} value ISO date or unix ms
+ * @returns {Number} unix ms
+ * @throws 400 if it isn't a valid date
+ */
+function parseHttpApiDate(value) {
+  const time = /^\d+$/.test(value) ? Number(value) : new Date(value).getTime();
+  if (!(time <= MAX_DATE_MS)) {
+    throw httpError(400, `Invalid date: ${value}`);
   }
+  return time;
+}
 
-  // check if assetlist is empty
-  try {
-    let fileContent = fs.readFileSync(filename);
-    assetlist = JSON.parse(fileContent);
-    if (Object.keys(assetlist).length === 0) {
-      return await fetchAssetlistFromAPI();
-    }
-  } catch (err) {
-    out.error(`Error parsing ${filename}`);
-    out.error(err);
-    process.exit(0);
+/**
+ * @param {String} value query parameter
+ * @param {String} name query parameter name, for the error message
+ * @returns {Number}
+ * @throws 400 unless it's an integer between min and max
+ */
+function parseHttpApiInteger(value, name, min, max) {
+  const number = /^\d+$/.test(value) ? Number(value) : NaN;
+  if (!(number >= min && number <= max)) {
+    throw httpError(400, `${name} must be an integer from ${min} to ${max}`);
   }
+  return number;
+}
 
-  return assetlist;
+function readCacheFile(filename) {
+  return JSON.parse(storage.readFile(filename));
+}
 
-  async function fetchAssetlistFromAPI() {
-    let assetlist;
-    if (config.DEBUG) {
-      out.debug("Updating assetlist.json from API and saving to cache...");
-    }
-    try {
-      assetlist = await fetchWithTimeout(
-        "https://raw.githubusercontent.com/osmosis-labs/assetlists/main/osmosis-1/osmosis-1.assetlist.json",
-        {
-          cache: "reload",
-          timeout: config.API.TIMEOUT_MS,
-        }
-      ).then((res) => res.json());
-    } catch (err) {
-      out.error("Unable to fetch assetlist from github:");
-      out.error(err.message);
-    }
+// EPOCH AWARENESS:
+// gauges are distributed at the start of each epoch, so polling during (or right around) it gives half-updated results.
 
-    if (assetlist) {
-      // save to cache
-      try {
-        fs.writeFileSync(filename, JSON.stringify(assetlist));
-        out.success(`... updated ${filename}`);
-      } catch (err) {
-        out.error("Unable to save assetlist.json:");
-        out.error(err.message);
-        return;
-      }
+let epochInfo = null; // last result of getEpochInfo()
+
+/**
+ * Gets the current epoch from the chain (falls back to config.EPOCH_HOUR / EPOCH_MINUTE in local time).
+ * @returns {Promise<{currentEpoch: Number, currentEpochStartTime: Date, nextEpochTime: Date, durationMs: Number}>}
+ */
+async function getEpochInfo() {
+  if (config.DEBUG) {
+    out.debug("called function: getEpochInfo()");
+  }
+  // epoch info only changes once per epoch, don't spam the API when scheduling
+  if (
+    epochInfo?.fetchedAt > Date.now() - 60 * 1000 &&
+    epochInfo.nextEpochTime.getTime() > Date.now()
+  ) {
+    return epochInfo;
+  }
+  try {
+    const json = await callAPI("/osmosis/epochs/v1beta1/epochs").then((res) =>
+      res.json()
+    );
+    const epoch = json.epochs.find(
+      (epoch) => epoch.identifier == config.EPOCH.IDENTIFIER
+    );
+    const currentEpochStartTime = new Date(epoch.current_epoch_start_time);
+    const durationMs = epoch.duration.slice(0, -1) * 1000;
+    epochInfo = {
+      currentEpoch: parseInt(epoch.current_epoch),
+      currentEpochStartTime: currentEpochStartTime,
+      nextEpochTime: new Date(currentEpochStartTime.getTime() + durationMs),
+      durationMs: durationMs,
+      fetchedAt: Date.now(),
+    };
+  } catch (err) {
+    out.error(
+      "Unable to get epoch info from API, using config.EPOCH_HOUR instead:"
+    );
+    out.error(err);
+    const nextEpochTime = new Date();
+    nextEpochTime.setHours(config.EPOCH_HOUR, config.EPOCH_MINUTE, 0, 0);
+    if (nextEpochTime.getTime() <= Date.now()) {
+      nextEpochTime.setDate(nextEpochTime.getDate() + 1);
     }
-    return assetlist;
+    const durationMs = 24 * 60 * 60 * 1000;
+    epochInfo = {
+      currentEpoch: null,
+      currentEpochStartTime: new Date(nextEpochTime.getTime() - durationMs),
+      nextEpochTime: nextEpochTime,
+      durationMs: durationMs,
+      fetchedAt: Date.now(),
+    };
   }
+  return epochInfo;
 }
 
-async function initializeFiles() {
-  const filenames = [
-    "./cache/assetlist.json" /* raw assetlist as per osmosis github */,
-    "./cache/deltas.json" /* gauge changes */,
-    "./cache/gauges.json" /* raw gauges as per osmosis api*/,
-    "./cache/indexed-assetlist.json" /* assetlist, but keys are denom bases, and most of the data is stripped.*/,
-    "./cache/indexed-gauges.json" /* gauges, but keys are gauge id */,
-    "./cache/indexed-gauges-old.json" /* record of outdated (previous) indexed gauges */,
-    "./cache/indexed-pools.json" /* pools, but keys are pool-ids */,
-    "./cache/notable-events.json" /* latest events which should be notified*/,
-  ];
-
-  for (const filename of filenames) {
-    try {
-      if (!fs.existsSync(filename)) {
-        fs.writeFileSync(filename, "{}");
-        out.success(`File '${filename}' created successfully!`);
-      }
-    } catch (err) {
-      out.error(`initializeFiles: ${filename}`);
-      out.error(err);
-      process.exit(0);
-    }
+/**
+ * Checks whether a time falls inside the window around the epoch where we shouldn't poll.
+ * @param {*} epoch from getEpochInfo()
+ * @param {Number} now timestamp (ms)
+ * @returns {{inWindow: Boolean, endsAt: Number}} endsAt is the timestamp (ms) it is safe to poll again
+ */
+function getEpochWindow(epoch, now = Date.now()) {
+  const beforeMs = config.EPOCH.WINDOW_BEFORE_SECONDS * 1000;
+  const afterMs = config.EPOCH.WINDOW_AFTER_SECONDS * 1000;
+
+  // just after the last epoch, distribution may still be in progress
+  const lastWindowEnd = epoch.currentEpochStartTime.getTime() + afterMs;
+  if (now < lastWindowEnd) {
+    return { inWindow: true, endsAt: lastWindowEnd };
   }
+  // approaching the next epoch (or it's due, but the chain hasn't processed it yet)
+  if (now >= epoch.nextEpochTime.getTime() - beforeMs) {
+    return {
+      inWindow: true,
+      endsAt: Math.max(epoch.nextEpochTime.getTime() + afterMs, now + afterMs),
+    };
+  }
+  return { inWindow: false, endsAt: now };
 }
 
-// this tells the telegram bot to send a message...
-function doTelegramNotification(notification, retries = 0) {
-  if (config.DEBUG) {
-    out.debug("called function: doTelegramNotification()");
+/**
+ * How long the daemon should wait before the next poll. Polls that would land in the epoch window are moved to just after it,
+ * which also guarantees a deliberate post-epoch poll (so each epoch's filled_epochs deltas are seen in one go).
+ * @returns {Promise<Number>} delay in ms
+ */
+async function getNextPollDelayMs() {
+  const intervalMs = config.DAEMON.POLL_INTERVAL_SECONDS * 1000;
+  if (!config.EPOCH.AVOID_WINDOW) {
+    return intervalMs;
   }
+  try {
+    const epoch = await getEpochInfo();
+    const now = Date.now();
+    const epochWindow = getEpochWindow(epoch, now);
+    if (epochWindow.inWindow) {
+      return epochWindow.endsAt - now;
+    }
+    const postEpochPollTime =
+      epoch.nextEpochTime.getTime() + config.EPOCH.WINDOW_AFTER_SECONDS * 1000;
+    if (getEpochWindow(epoch, now + intervalMs).inWindow) {
+      return postEpochPollTime - now;
+    }
+    return Math.min(intervalMs, postEpochPollTime - now);
+  } catch (err) {
+    out.error("Error in getNextPollDelayMs():");
+    out.error(err);
+    return intervalMs;
+  }
+}
 
-  config.TG_BOT.GROUP_IDS.forEach((groupId) => {
-    const json_body = {
-      chat_id: groupId,
-      text: notification.txt,
-    };
-
-    fetchWithTimeout(
-      `https://api.telegram.org/bot${config.TG_BOT.TOKEN}/sendMessage?parse_mode=html&disable_web_page_preview=true `,
-      {
-        method: "POST",
-        body: JSON.stringify(json_body),
-        headers: {
-          "Content-Type": "application/json",
-        },
-        timeout: config.TG_BOT.NOTIFICATION_TIMEOUT_MS,
-      }
-    )
-      .then((res) => res.json())
-      .then((json) => {
-        if (!json?.ok) {
-          out.error(
-            `Unable to send Telegram notification${
-              retries > 0 ? " (retry #" + retries + ")" : ""
-            }:`
-          );
-          console.log(json);
-          if (json?.parameters?.retry_after) {
-            console.info(`retrying after ${json.parameters.retry_after}s`);
-          }
-          
-          setTimeout(
-            () => {
-              if (retries <= config.TG_BOT.NOTIFICATION_RETRIES) {
-                doTelegramNotification(notification, retries++);
-              } else {
-                //TODO: instead of logging the failed notifications, we should rather have a notification service running seperately from the notable-events which have a "notified" flag which is updated on success only.
-              }
-            },
-            json?.parameters?.retry_after
-              ? json.parameters.retry_after * 1000
-              : config.TG_BOT.NOTIFICATION_RETRY_INTERVAL_MS
-          );
-        } else {
-          out.success(
-            `Telegram notification successful - [batch #${notification.batchNumber}; msg #${notification.notificationNumber}]`
-          );
-        }
-      })
-      .catch((err) => {
-        out.error(err);
-        if (retries <= config.TG_BOT.NOTIFICATION_RETRIES) {
-          setTimeout(() => {
-            doTelegramNotification(notification, retries + 1);
-          }, config.TG_BOT.NOTIFICATION_RETRY_INTERVAL_MS);
-        } else {
-          //TODO: instead of logging the failed notifications, we should rather have a notification service running seperately from the notable-events which have a "notified" flag which is updated on success only.
-        }
-      });
-  });
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
-async function fetchWithTimeout(resource, options = {}) {
-  const { timeout = config.API.TIMEOUT_MS } = options;
+/**
+ * @param {Number} duration in milliseconds
+ * @returns {String} e.g. "1d, 2h, 3m"
+ */
+function formatDuration(duration) {
+  const days = Math.floor(duration / (1000 * 60 * 60 * 24)); // Calculate the number of days
+  const hours = Math.floor((duration / (1000 * 60 * 60)) % 24); // Calculate the number of hours
+  const minutes = Math.floor((duration / (1000 * 60)) % 60); // Calculate the number of minutes
 
-  const controller = new AbortController();
-  const id = setTimeout(() => controller.abort(), timeout);
-  const response = await fetch(resource, {
-    ...options,
-    signal: controller.signal,
-  });
-  clearTimeout(id);
-  return response;
+  return `${days}d, ${hours}h, ${minutes}m`;
 }
 
 function timeUntilEpoch_fromStartTime(strStartTime) {
+  return formatDuration(
+    getFirstEpochAfter(strStartTime).getTime() - Date.now()
+  );
+}
+
+/**
+ * When a gauge starting at strStartTime first distributes, i.e. the first epoch after its start time (or after now, if it has already started).
+ * @param {String} strStartTime gauge start_time
+ * @returns {Date}
+ */
+function getFirstEpochAfter(strStartTime) {
   const currentDate = new Date();
   let startDate = new Date(strStartTime);
 
@@ -1254,28 +2465,40 @@ function timeUntilEpoch_fromStartTime(strStartTime) {
     startDate = currentDate;
   }
 
-  const startingEpoch = new Date(startDate); // Make a copy of the current date
+  // first epoch after the start date, stepping from the last known epoch time
+  let startingEpoch;
+  if (epochInfo) {
+    let epochTime = epochInfo.nextEpochTime.getTime();
+    while (epochTime - epochInfo.durationMs > startDate.getTime()) {
+      epochTime -= epochInfo.durationMs;
+    }
+    while (epochTime <= startDate.getTime()) {
+      epochTime += epochInfo.durationMs;
+    }
+    startingEpoch = new Date(epochTime);
+  } else {
+    startingEpoch = new Date(startDate); // Make a copy of the current date
 
-  // Set the hours to 19 (7pm) and the minutes, seconds and milliseconds to 0
-  startingEpoch.setHours(config.EPOCH_HOUR, 16, 0, 0);
+    // Set the hours to the epoch hour and minute, and the seconds and milliseconds to 0
+    startingEpoch.setHours(config.EPOCH_HOUR, config.EPOCH_MINUTE, 0, 0);
 
-  // If the next 7pm is not on the same day as the current date, add a day
-  if (startingEpoch <= startDate) {
-    startingEpoch.setDate(startingEpoch.getDate() + 1);
+    // If the next epoch is not on the same day as the current date, add a day
+    if (startingEpoch <= startDate) {
+      startingEpoch.setDate(startingEpoch.getDate() + 1);
+    }
   }
 
-  const duration = startingEpoch.getTime() - currentDate.getTime(); // Get the duration in milliseconds
-  const days = Math.floor(duration / (1000 * 60 * 60 * 24)); // Calculate the number of days
-  const hours = Math.floor((duration / (1000 * 60 * 60)) % 24); // Calculate the number of hours
-  const minutes = Math.floor((duration / (1000 * 60)) % 60); // Calculate the number of minutes
-
-  return `${days}d, ${hours}h, ${minutes}m`;
+  return startingEpoch;
 }
 
 (() => {
-  function cleanUp(eventType) {
+  function cleanUp(eventType, err) {
     out.warn(eventType);
-    if (eventType == "exit") {
+    if (eventType == "uncaughtException" || eventType == "unhandledRejection") {
+      // a crash, not a clean stop: exit non-zero so systemd (see externals.service) and operators can tell
+      out.error(err);
+      process.exit(1);
+    } else if (eventType == "exit") {
       const endTime = Date.now();
       out.info(`Total processing time: ${endTime - startTime} ms`);
       if (config.DEBUG) {
@@ -1284,6 +2507,13 @@ function timeUntilEpoch_fromStartTime(strStartTime) {
         console.log("");
         console.log("");
       }
+    } else if (eventType == "SIGHUP") {
+      reloadConfig();
+    } else if (
+      isDaemonMode &&
+      (eventType == "SIGTERM" || eventType == "SIGINT")
+    ) {
+      stopDaemon(eventType);
     } else {
       process.exit(0);
     }
@@ -1291,9 +2521,11 @@ function timeUntilEpoch_fromStartTime(strStartTime) {
   [
     `exit`,
     `SIGINT`,
+    `SIGHUP`,
     `SIGUSR1`,
     `SIGUSR2`,
     `uncaughtException`,
+    `unhandledRejection`,
     `SIGTERM`,
   ].forEach((eventType) => {
     process.on(eventType, cleanUp.bind(null, eventType));
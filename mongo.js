@@ -0,0 +1,52 @@
+/**
+ * MongoDB sink (config.DELTAS.SEND_TO_DB): every poll's deltas and notable events are inserted as documents,
+ * so their history accumulates instead of being overwritten like ./cache/deltas.json
+ * The driver is only imported when the sink is enabled.
+ */
+
+import config from "./config/config.js";
+
+/**
+ * @returns {String} config.DELTAS.SEND_TO_DB.URI, or an Atlas (mongodb+srv) connection string built from CLUSTER and the credentials
+ */
+function getConnectionString() {
+  const db = config.DELTAS.SEND_TO_DB;
+  if (db.URI) {
+    return db.URI;
+  }
+  const credentials = db.USERNAME
+    ? `${encodeURIComponent(db.USERNAME)}:${encodeURIComponent(db.PASSWORD)}@`
+    : "";
+  return `mongodb+srv://${credentials}${db.CLUSTER}/?retryWrites=true&w=majority`;
+}
+
+/**
+ * Inserts the documents of a poll, see saveDeltasToDB() in index.js
+ * Connects and disconnects on every call, so one-shot runs can exit.
+ * @param {Array} deltaDocuments inserted into COLLECTION
+ * @param {Array} eventDocuments inserted into EVENTS_COLLECTION
+ */
+export async function saveToMongo(deltaDocuments, eventDocuments) {
+  const db = config.DELTAS.SEND_TO_DB;
+  const { MongoClient } = await import("mongodb");
+  const client = new MongoClient(getConnectionString(), {
+    serverSelectionTimeoutMS: config.API.TIMEOUT_MS,
+  });
+  try {
+    await client.connect();
+    const database = client.db(db.DATABASE);
+    if (deltaDocuments.length) {
+      const collection = database.collection(db.COLLECTION);
+      await collection.createIndex({ gaugeId: 1, createdAt: -1 });
+      await collection.insertMany(deltaDocuments, { ordered: false });
+    }
+    if (eventDocuments.length) {
+      const collection = database.collection(db.EVENTS_COLLECTION);
+      await collection.createIndex({ type: 1, createdAt: -1 });
+      await collection.createIndex({ poolId: 1, createdAt: -1 });
+      await collection.insertMany(eventDocuments, { ordered: false });
+    }
+  } finally {
+    await client.close();
+  }
+}
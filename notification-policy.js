@@ -0,0 +1,64 @@
+/**
+ * Notification policy (config.NOTIFICATIONS): which notable events are notified, by type, bond duration, pool and reward denom.
+ * applyNotificationPolicy() in index.js filters the notable events of each poll with it.
+ */
+
+/**
+ * @param {*} event notable event
+ * @param {*} policy config.NOTIFICATIONS
+ * @returns {String|undefined} why the event shouldn't be notified, or undefined if it should be
+ */
+export function getNotificationPolicyRejection(event, policy = {}) {
+  if (policy.EVENT_TYPES?.[event.type] === false) {
+    return `event type ${event.type} is disabled`;
+  }
+
+  if (
+    event.bondDurationDays !== undefined &&
+    !isDurationNotificationEnabled(policy, event.type, event.bondDurationDays)
+  ) {
+    return `${event.type} is disabled for ${event.bondDurationDays} day gauges`;
+  }
+
+  if (event.poolId !== undefined) {
+    const poolId = event.poolId.toString();
+    if (
+      policy.POOL_IDS?.INCLUDE?.length &&
+      !policy.POOL_IDS.INCLUDE.map(String).includes(poolId)
+    ) {
+      return `pool ${poolId} is not in POOL_IDS.INCLUDE`;
+    }
+    if (policy.POOL_IDS?.EXCLUDE?.map(String).includes(poolId)) {
+      return `pool ${poolId} is in POOL_IDS.EXCLUDE`;
+    }
+  }
+
+  if (event.coins?.length) {
+    // reward denoms can be configured by denom or by symbol
+    const isMatch = (list, coin) =>
+      list.includes(coin.denom) || list.includes(coin.symbol);
+    if (
+      policy.DENOMS?.INCLUDE?.length &&
+      !event.coins.some((coin) => isMatch(policy.DENOMS.INCLUDE, coin))
+    ) {
+      return "no reward denom is in DENOMS.INCLUDE";
+    }
+    if (
+      policy.DENOMS?.EXCLUDE?.length &&
+      event.coins.every((coin) => isMatch(policy.DENOMS.EXCLUDE, coin))
+    ) {
+      return "every reward denom is in DENOMS.EXCLUDE";
+    }
+  }
+}
+
+/**
+ * Checks the DURATION_{days} flags. Durations (or event types) without a config entry are enabled.
+ * @param {*} policy config.NOTIFICATIONS
+ * @param {String} type event type, e.g. "EXPIRED"
+ * @param {Number} bondDurationDays
+ * @returns {Boolean}
+ */
+function isDurationNotificationEnabled(policy, type, bondDurationDays) {
+  return policy[`DURATION_${bondDurationDays}`]?.[type] !== false;
+}
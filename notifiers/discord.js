@@ -0,0 +1,71 @@
+/**
+ * Discord notifier: posts an embed to each webhook in config.NOTIFIERS.DISCORD.WEBHOOKS.
+ */
+
+import config from "../config/config.js";
+import { renderTemplate } from "../templates.js";
+import { fetchWithTimeout } from "../utils.js";
+
+function isEnabled() {
+  return config.NOTIFIERS?.DISCORD?.ENABLED;
+}
+
+// webhook names, so the (secret) urls never end up in the outbox
+function getTargets() {
+  return Object.keys(config.NOTIFIERS.DISCORD.WEBHOOKS);
+}
+
+/**
+ * Renders templates/discord/<event type>.mustache: the first line becomes the embed title, the rest its description.
+ * @param {*} view notification view, as created by buildNotificationView() in index.js
+ * @returns {*} discord webhook payload, or null if there's nothing to send
+ */
+function format(view) {
+  const text = renderTemplate("discord", view);
+  if (!text) {
+    return null;
+  }
+  const [title, ...description] = text.split("\n");
+  return {
+    username: config.NOTIFIERS.DISCORD.USERNAME,
+    embeds: [
+      {
+        // discord limits: 256 characters per title, 4096 per description
+        title: title.slice(0, 256),
+        url: view.poolUrl,
+        description: description.join("\n").trim().slice(0, 4096) || undefined,
+        timestamp: new Date().toISOString(),
+      },
+    ],
+  };
+}
+
+async function send(webhookName, payload) {
+  const url = config.NOTIFIERS.DISCORD.WEBHOOKS[webhookName];
+  if (!url) {
+    return { ok: false, error: `No Discord webhook named "${webhookName}"` };
+  }
+  try {
+    const res = await fetchWithTimeout(url, {
+      method: "POST",
+      body: JSON.stringify(payload),
+      headers: {
+        "Content-Type": "application/json",
+      },
+      timeout: config.NOTIFIERS.TIMEOUT_MS,
+    });
+    if (res.ok) {
+      return { ok: true };
+    }
+    const json = await res.json().catch(() => ({}));
+    return {
+      ok: false,
+      error: `HTTP ${res.status}: ${json?.message || res.statusText}`,
+      retryAfterMs: json?.retry_after ? json.retry_after * 1000 : undefined,
+    };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+}
+
+export default { name: "discord", isEnabled, getTargets, format, send };
@@ -0,0 +1,16 @@
+/**
+ * Notification channels, keyed by name (the prefix of outbox destinations, e.g. "telegram:-100123123123").
+ *
+ * Each notifier turns a channel-neutral notification view (see buildNotificationView() in index.js) into its own payload:
+ * - isEnabled(): channel is switched on in the config
+ * - getTargets(view): chat ids / webhook names to deliver to
+ * - format(view): payload, or null if this channel doesn't notify this kind of event
+ * - send(target, payload): resolves to {ok, error, retryAfterMs}, never rejects
+ */
+
+import telegram from "./telegram.js";
+import discord from "./discord.js";
+import slack from "./slack.js";
+import webhook from "./webhook.js";
+
+export default { telegram, discord, slack, webhook };
@@ -0,0 +1,67 @@
+/**
+ * Slack notifier: posts a mrkdwn message to each incoming webhook in config.NOTIFIERS.SLACK.WEBHOOKS.
+ */
+
+import config from "../config/config.js";
+import { renderTemplate } from "../templates.js";
+import { fetchWithTimeout } from "../utils.js";
+
+function isEnabled() {
+  return config.NOTIFIERS?.SLACK?.ENABLED;
+}
+
+// webhook names, so the (secret) urls never end up in the outbox
+function getTargets() {
+  return Object.keys(config.NOTIFIERS.SLACK.WEBHOOKS);
+}
+
+/**
+ * Renders templates/slack/<event type>.mustache
+ * @param {*} view notification view, as created by buildNotificationView() in index.js
+ * @returns {*} slack webhook payload, or null if there's nothing to send
+ */
+function format(view) {
+  const text = renderTemplate("slack", view, escapeMrkdwn);
+  if (!text) {
+    return null;
+  }
+  return { text: text };
+}
+
+// https://api.slack.com/reference/surfaces/formatting#escaping
+function escapeMrkdwn(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+async function send(webhookName, payload) {
+  const url = config.NOTIFIERS.SLACK.WEBHOOKS[webhookName];
+  if (!url) {
+    return { ok: false, error: `No Slack webhook named "${webhookName}"` };
+  }
+  try {
+    const res = await fetchWithTimeout(url, {
+      method: "POST",
+      body: JSON.stringify(payload),
+      headers: {
+        "Content-Type": "application/json",
+      },
+      timeout: config.NOTIFIERS.TIMEOUT_MS,
+    });
+    if (res.ok) {
+      return { ok: true };
+    }
+    const retryAfter = res.headers.get("retry-after");
+    return {
+      ok: false,
+      error: `HTTP ${res.status}: ${await res.text().catch(() => "")}`,
+      retryAfterMs: retryAfter ? retryAfter * 1000 : undefined,
+    };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+}
+
+export default { name: "slack", isEnabled, getTargets, format, send };
@@ -0,0 +1,246 @@
+/**
+ * Telegram notifier: sends HTML messages to config.TG_BOT.GROUP_IDS via the bot API,
+ * and (with config.TG_BOT.SUBSCRIPTIONS.ENABLED) to the chats which subscribed to matching pools / denoms / durations.
+ */
+
+import config from "../config/config.js";
+import {
+  FILTER_KEYS,
+  getSubscription,
+  getSubscribedTargets,
+  saveSubscription,
+} from "../subscriptions.js";
+import storage from "../storage/index.js";
+import { renderTemplate } from "../templates.js";
+import { fetchWithTimeout } from "../utils.js";
+
+function isEnabled() {
+  return config.TG_BOT.ACTIVE;
+}
+
+/**
+ * @param {*} view notification view, as created by buildNotificationView() in index.js
+ * @returns {String[]} the broadcast GROUP_IDS, plus every chat with a matching subscription
+ */
+function getTargets(view) {
+  const targets = config.TG_BOT.GROUP_IDS.map(String);
+  if (config.TG_BOT.SUBSCRIPTIONS?.ENABLED && view) {
+    for (const chatId of getSubscribedTargets("telegram", view)) {
+      if (!targets.includes(chatId)) {
+        targets.push(chatId);
+      }
+    }
+  }
+  return targets;
+}
+
+/**
+ * Renders the Telegram (HTML) message text for a notable event from templates/telegram/<event type>.mustache
+ * @param {*} view notification view, as created by buildNotificationView() in index.js
+ * @returns {String|null} message text, or null if this event type isn't notified on Telegram
+ */
+function format(view) {
+  return renderTemplate("telegram", view, escapeHtml);
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * tells the telegram bot to send a message to a single chat.
+ * @param {String} chatId telegram chat / group id
+ * @param {String} txt html message text
+ * @returns {Promise<{ok: Boolean, error: String, retryAfterMs: Number}>}
+ */
+async function send(chatId, txt) {
+  try {
+    const json = await fetchWithTimeout(
+      `https://api.telegram.org/bot${config.TG_BOT.TOKEN}/sendMessage?parse_mode=html&disable_web_page_preview=true`,
+      {
+        method: "POST",
+        body: JSON.stringify({ chat_id: chatId, text: txt }),
+        headers: {
+          "Content-Type": "application/json",
+        },
+        timeout: config.TG_BOT.NOTIFICATION_TIMEOUT_MS,
+      }
+    ).then((res) => res.json());
+
+    if (json?.ok) {
+      return { ok: true };
+    }
+    return {
+      ok: false,
+      error: json?.description || JSON.stringify(json),
+      retryAfterMs: json?.parameters?.retry_after
+        ? json.parameters.retry_after * 1000
+        : undefined,
+    };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+}
+
+// SUBSCRIPTIONS BOT:
+// users manage their subscriptions with bot commands, received by (long) polling getUpdates.
+
+const BOT_STATE_FILE = "telegram-bot.json"; // { offset } of the next update to fetch
+
+// "/watch pool 1" > "pools"
+const FILTER_NAMES = {
+  pool: "pools",
+  denom: "denoms",
+  duration: "durations",
+  wallet: "wallets",
+};
+
+const HELP_TEXT = `<b>Osmosis Externals</b> notifies this chat about LP incentives you watch:
+
+/watch pool &lt;id&gt; - e.g. /watch pool 1
+/watch denom &lt;denom or symbol&gt; - e.g. /watch denom uatom
+/watch duration &lt;days&gt; - only gauges with this bond duration, e.g. /watch duration 14
+/watch wallet &lt;osmo1...&gt; - personal alert when incentives of your bonded pools are about to expire
+/unwatch [pool|denom|duration|wallet] [value] - without arguments removes everything
+/list - what this chat watches`;
+
+/**
+ * Fetches pending bot updates once and handles their commands.
+ * @param {Number} timeoutSeconds long polling timeout, 0 just fetches what is pending
+ * @returns {Promise<Number>} number of updates handled
+ */
+async function handleUpdates(timeoutSeconds = 0) {
+  const params = new URLSearchParams({
+    timeout: timeoutSeconds,
+    allowed_updates: JSON.stringify(["message"]),
+  });
+  const offset = getUpdatesOffset();
+  if (offset) {
+    params.set("offset", offset);
+  }
+  const json = await fetchWithTimeout(
+    `https://api.telegram.org/bot${config.TG_BOT.TOKEN}/getUpdates?${params}`,
+    { timeout: timeoutSeconds * 1000 + config.TG_BOT.NOTIFICATION_TIMEOUT_MS }
+  ).then((res) => res.json());
+
+  if (!json?.ok) {
+    throw new Error(
+      `getUpdates failed: ${json?.description || JSON.stringify(json)}`
+    );
+  }
+  for (const update of json.result) {
+    // acknowledge first, so a message which fails to be handled isn't handled over and over again
+    saveUpdatesOffset(update.update_id + 1);
+    const message = update.message;
+    if (message?.text?.startsWith("/")) {
+      const reply = handleCommand(String(message.chat.id), message.text);
+      if (reply) {
+        const result = await send(String(message.chat.id), reply);
+        if (!result.ok) {
+          throw new Error(`Unable to reply to a bot command: ${result.error}`);
+        }
+      }
+    }
+  }
+  return json.result.length;
+}
+
+/**
+ * @param {String} chatId
+ * @param {String} text e.g. "/watch pool 1" or "/watch@SomeBot pool 1"
+ * @returns {String|null} html reply, or null for unknown commands
+ */
+function handleCommand(chatId, text) {
+  const [command, filterName, ...values] = text.trim().split(/\s+/);
+  const key = FILTER_NAMES[filterName?.toLowerCase()];
+  const value = values.join(" ");
+  const subscription = getSubscription("telegram", chatId);
+
+  switch (command.split("@")[0].toLowerCase()) {
+    case "/start":
+    case "/help":
+      return HELP_TEXT;
+
+    case "/watch":
+      if (!key || !value) {
+        return HELP_TEXT;
+      }
+      if (key == "durations" && !(Number(value) > 0)) {
+        return `Durations are in days, e.g. /watch duration 14`;
+      }
+      if (key == "wallets" && !/^osmo1[0-9a-z]{38,58}$/.test(value)) {
+        return `That doesn't look like an Osmosis address (osmo1...)`;
+      }
+      if (
+        FILTER_KEYS.reduce((sum, k) => sum + subscription[k].length, 0) >=
+        config.TG_BOT.SUBSCRIPTIONS.MAX_FILTERS_PER_CHAT
+      ) {
+        return `This chat already watches ${config.TG_BOT.SUBSCRIPTIONS.MAX_FILTERS_PER_CHAT} things, /unwatch some first.`;
+      }
+      if (!subscription[key].map(String).includes(value)) {
+        subscription[key].push(key == "durations" ? Number(value) : value);
+        saveSubscription("telegram", chatId, subscription);
+      }
+      return `👀 Watching ${filterName.toLowerCase()} <b>${escapeHtml(
+        value
+      )}</b>`;
+
+    case "/unwatch":
+      if (!filterName) {
+        saveSubscription("telegram", chatId, {});
+        return `Not watching anything anymore.`;
+      }
+      if (!key) {
+        return HELP_TEXT;
+      }
+      subscription[key] = value
+        ? subscription[key].filter((v) => String(v) != value)
+        : [];
+      saveSubscription("telegram", chatId, subscription);
+      return `Stopped watching ${filterName.toLowerCase()} <b>${escapeHtml(
+        value || "(all)"
+      )}</b>`;
+
+    case "/list":
+      if (!FILTER_KEYS.some((k) => subscription[k].length)) {
+        return `This chat doesn't watch anything yet, see /help`;
+      }
+      return Object.keys(FILTER_NAMES)
+        .filter((name) => subscription[FILTER_NAMES[name]].length)
+        .map(
+          (name) =>
+            `${name}s: <b>${escapeHtml(
+              subscription[FILTER_NAMES[name]].join(", ")
+            )}</b>`
+        )
+        .join("\n");
+
+    default:
+      return null;
+  }
+}
+
+function getUpdatesOffset() {
+  try {
+    return JSON.parse(storage.readFile(BOT_STATE_FILE)).offset;
+  } catch (err) {
+    return undefined;
+  }
+}
+
+function saveUpdatesOffset(offset) {
+  storage.writeFile(BOT_STATE_FILE, JSON.stringify({ offset: offset }));
+}
+
+export default {
+  name: "telegram",
+  isEnabled,
+  getTargets,
+  format,
+  send,
+  handleUpdates,
+};
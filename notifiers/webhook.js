@@ -0,0 +1,62 @@
+/**
+ * Generic webhook notifier: POSTs the notification as JSON to each url in config.NOTIFIERS.WEBHOOK.URLS,
+ * for anything that wants the raw event (bots, dashboards, bridges...).
+ */
+
+import config from "../config/config.js";
+import { fetchWithTimeout } from "../utils.js";
+
+function isEnabled() {
+  return config.NOTIFIERS?.WEBHOOK?.ENABLED;
+}
+
+// url names, so the urls never end up in the outbox
+function getTargets() {
+  return Object.keys(config.NOTIFIERS.WEBHOOK.URLS);
+}
+
+/**
+ * Not templated: sends the template variables and the raw event, so the receiver can render them however it likes.
+ * @param {*} view notification view, as created by buildNotificationView() in index.js
+ * @returns {*} json body
+ */
+function format(view) {
+  const { event, ...variables } = view;
+  return {
+    id: view.id,
+    type: view.type,
+    variables: variables,
+    event: event,
+  };
+}
+
+async function send(urlName, payload) {
+  const url = config.NOTIFIERS.WEBHOOK.URLS[urlName];
+  if (!url) {
+    return { ok: false, error: `No webhook url named "${urlName}"` };
+  }
+  try {
+    const res = await fetchWithTimeout(url, {
+      method: "POST",
+      body: JSON.stringify(payload),
+      headers: {
+        "Content-Type": "application/json",
+        ...config.NOTIFIERS.WEBHOOK.HEADERS,
+      },
+      timeout: config.NOTIFIERS.TIMEOUT_MS,
+    });
+    if (res.ok) {
+      return { ok: true };
+    }
+    const retryAfter = res.headers.get("retry-after");
+    return {
+      ok: false,
+      error: `HTTP ${res.status}: ${res.statusText}`,
+      retryAfterMs: retryAfter ? retryAfter * 1000 : undefined,
+    };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+}
+
+export default { name: "webhook", isEnabled, getTargets, format, send };
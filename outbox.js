@@ -0,0 +1,295 @@
+/**
+ * Persistent notification outbox (notification-outbox.json, see ./storage), separate from event detection:
+ * every notable event is queued once, by a stable id, with a status per destination
+ * ({ notified, attempts, lastAttemptAt, lastError, failed }), which only flips to notified once the notifier confirmed delivery.
+ * drainOutbox() sends whatever is pending: at the end of every poll, and in between polls in daemon mode (see startOutboxSender() in index.js).
+ */
+
+import { ConsoleLogColors } from "js-console-log-colors";
+import config from "./config/config.js";
+import storage from "./storage/index.js";
+
+const out = new ConsoleLogColors();
+
+const OUTBOX_FILE = "notification-outbox.json";
+
+// delivery settings of every channel, unless config.NOTIFIERS or the channel's own section sets them (see getDeliverySettings())
+const DELIVERY_DEFAULTS = {
+  RETRIES: 3,
+  RETRY_INTERVAL_MS: 5000,
+  INTERVAL_MS: 1000,
+  BATCH_LIMIT: 20,
+  BATCH_INTERVAL_MS: 60000,
+};
+// telegram's are in config.TG_BOT, which predates config.NOTIFIERS
+const TELEGRAM_DELIVERY_KEYS = {
+  RETRIES: "NOTIFICATION_RETRIES",
+  RETRY_INTERVAL_MS: "NOTIFICATION_RETRY_INTERVAL_MS",
+  INTERVAL_MS: "NOTIFICATION_INTERVAL_MS",
+  BATCH_LIMIT: "NOTIFICATION_BATCH_LIMIT",
+  BATCH_INTERVAL_MS: "NOTIFICATION_BATCH_INTERVAL_MS",
+};
+
+let currentDrain = null; // promise of the drain in progress, so there's never two at once
+
+/**
+ * @returns {*} { events: { [id]: { id, createdAt, event, destinations: { [destination]: status } } } }
+ */
+export function getOutbox() {
+  try {
+    const outbox = JSON.parse(storage.readFile(OUTBOX_FILE));
+    return { events: outbox?.events || {} };
+  } catch (err) {
+    out.error("Error in getOutbox():");
+    out.error(err);
+    return { events: {} };
+  }
+}
+
+export function saveOutbox(outbox) {
+  try {
+    storage.writeFile(OUTBOX_FILE, JSON.stringify(outbox));
+  } catch (err) {
+    out.error(`Unable to save ${OUTBOX_FILE}:`);
+    out.error(err.message);
+  }
+}
+
+/**
+ * Adds events to the outbox (skipping any that are already queued or sent) and prunes old delivered ones.
+ * @param {Array} events notable events
+ * @param {Function} getId event => stable event id
+ * @param {Function} getDestinations event => destinations, e.g. ["telegram:-100123123123", "discord:community"]
+ * @returns {Number} number of newly queued events
+ */
+export function enqueueEvents(events, getId, getDestinations) {
+  const outbox = getOutbox();
+  let queued = 0;
+  for (const event of events) {
+    const id = getId(event);
+    if (outbox.events[id]) {
+      if (config.DEBUG) {
+        out.debug(`Notable event ${id} already in outbox ... skipping!`);
+      }
+      continue;
+    }
+    const destinations = {};
+    for (const destination of getDestinations(event)) {
+      destinations[destination] = { notified: false, attempts: 0 };
+    }
+    outbox.events[id] = {
+      id: id,
+      createdAt: new Date().toISOString(),
+      event: event,
+      destinations: destinations,
+    };
+    queued++;
+  }
+
+  // prune events which have been fully delivered (or given up on) for longer than the retention period
+  const retentionMs = config.OUTBOX.RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  for (const id in outbox.events) {
+    const entry = outbox.events[id];
+    if (
+      isEntryDone(entry) &&
+      Date.now() - new Date(entry.createdAt).getTime() > retentionMs
+    ) {
+      delete outbox.events[id];
+    }
+  }
+
+  saveOutbox(outbox);
+  return queued;
+}
+
+/**
+ * Retries and pacing of a channel: its own setting (e.g. config.NOTIFIERS.DISCORD.INTERVAL_MS, or config.TG_BOT.NOTIFICATION_INTERVAL_MS),
+ * else the config.NOTIFIERS default (e.g. config.NOTIFIERS.INTERVAL_MS), else DELIVERY_DEFAULTS.
+ * @param {String} channel notifier name, e.g. "discord"
+ * @returns {*} { RETRIES, RETRY_INTERVAL_MS, INTERVAL_MS, BATCH_LIMIT, BATCH_INTERVAL_MS }
+ */
+export function getDeliverySettings(channel) {
+  const channelConfig =
+    channel == "telegram"
+      ? Object.fromEntries(
+          Object.entries(TELEGRAM_DELIVERY_KEYS).map(([key, telegramKey]) => [
+            key,
+            config.TG_BOT?.[telegramKey],
+          ])
+        )
+      : config.NOTIFIERS?.[channel.toUpperCase()] || {};
+  const settings = {};
+  for (const key in DELIVERY_DEFAULTS) {
+    settings[key] =
+      channelConfig[key] ?? config.NOTIFIERS?.[key] ?? DELIVERY_DEFAULTS[key];
+  }
+  return settings;
+}
+
+function isEntryDone(entry) {
+  return Object.values(entry.destinations).every(
+    (status) => status.notified || status.failed
+  );
+}
+
+/**
+ * Sends every pending (not yet notified) destination, oldest event first. Destinations of a notifier which has been
+ * disabled (or removed) since the event was queued are given up on, instead of staying pending forever.
+ * Each destination's status is saved as soon as it changes, so a crash mid-way doesn't cause duplicates,
+ * into the outbox as it is then (see saveDestinationStatus()), so events queued in the meantime are kept.
+ * If a drain is already in progress, waits for that one instead.
+ * @param {*} options { notifiers (see ./notifiers), buildView (event => notification view), isStopping (() => Boolean, e.g. the daemon is shutting down) }
+ * @returns {Promise<Number>} number of delivery attempts
+ */
+export function drainOutbox(options) {
+  if (!currentDrain) {
+    currentDrain = drain(options).finally(() => {
+      currentDrain = null;
+    });
+  }
+  return currentDrain;
+}
+
+async function drain({ notifiers, buildView, isStopping = () => false }) {
+  const outbox = getOutbox();
+  const entries = Object.values(outbox.events).sort(
+    (a, b) => new Date(a.createdAt) - new Date(b.createdAt)
+  );
+
+  // pending destinations per channel, oldest first
+  const queues = {};
+  for (const entry of entries) {
+    for (const destination in entry.destinations) {
+      const status = entry.destinations[destination];
+      if (status.notified || status.failed) {
+        continue;
+      }
+      const channel = destination.split(":")[0];
+      if (!notifiers[channel]?.isEnabled()) {
+        status.failed = true;
+        status.lastError = "Notifier is disabled";
+        out.warn(
+          `Dropping ${entry.id} > ${destination}, its notifier is disabled.`
+        );
+        saveDestinationStatus(entry, destination);
+        continue;
+      }
+      queues[channel] = queues[channel] || [];
+      queues[channel].push({ entry, destination });
+    }
+  }
+
+  // channels are paced independently, so a slow or rate limited one doesn't hold up the others
+  const sentPerChannel = await Promise.all(
+    Object.keys(queues).map((channel) =>
+      drainChannel(channel, queues[channel], {
+        notifier: notifiers[channel],
+        buildView,
+        isStopping,
+      })
+    )
+  );
+  const sent = sentPerChannel.reduce((total, count) => total + count, 0);
+  if (sent) {
+    out.info(`Notification outbox drained (${sent} delivery attempt(s))`);
+  }
+  return sent;
+}
+
+/**
+ * @returns {Promise<Number>} number of delivery attempts
+ */
+async function drainChannel(
+  channel,
+  deliveries,
+  { notifier, buildView, isStopping }
+) {
+  const settings = getDeliverySettings(channel);
+  let sent = 0;
+  for (const { entry, destination } of deliveries) {
+    if (isStopping()) {
+      out.warn(
+        `Shutting down, leaving the remaining ${channel} notifications in the outbox.`
+      );
+      break;
+    }
+
+    // pace the messages: INTERVAL_MS between each, and a longer pause after each batch
+    if (sent > 0) {
+      await sleep(
+        sent % settings.BATCH_LIMIT === 0
+          ? settings.BATCH_INTERVAL_MS
+          : settings.INTERVAL_MS
+      );
+    }
+    sent++;
+
+    await deliver(entry, destination, notifier, buildView, settings);
+    saveDestinationStatus(entry, destination);
+  }
+  return sent;
+}
+
+async function deliver(entry, destination, notifier, buildView, settings) {
+  const status = entry.destinations[destination];
+  const target = destination.split(/:(.*)/)[1];
+
+  for (let retries = 0; retries <= settings.RETRIES; retries++) {
+    const payload = notifier.format(buildView(entry.event));
+    const res = payload
+      ? await notifier.send(target, payload)
+      : { ok: false, error: `Nothing to send for ${entry.event.type}` };
+
+    status.attempts++;
+    status.lastAttemptAt = new Date().toISOString();
+    if (res.ok) {
+      status.notified = true;
+      status.notifiedAt = status.lastAttemptAt;
+      delete status.lastError;
+      out.success(`Notification sent - ${entry.id} > ${destination}`);
+      return;
+    }
+
+    status.lastError = res.error;
+    out.error(
+      `Unable to send notification ${entry.id} > ${destination}${
+        retries > 0 ? " (retry #" + retries + ")" : ""
+      }:`
+    );
+    out.error(res.error);
+    if (status.attempts >= config.OUTBOX.MAX_ATTEMPTS) {
+      status.failed = true;
+      out.warn(
+        `Giving up on ${entry.id} > ${destination} after ${status.attempts} attempts.`
+      );
+      return;
+    }
+    if (retries < settings.RETRIES) {
+      if (res.retryAfterMs) {
+        console.info(`retrying after ${res.retryAfterMs / 1000}s`);
+      }
+      await sleep(res.retryAfterMs || settings.RETRY_INTERVAL_MS);
+    }
+  }
+  out.warn(`${entry.id} > ${destination} left in outbox for the next run.`);
+}
+
+/**
+ * Saves one destination's status from the drain's copy of the outbox into the outbox file as it is now:
+ * events can be queued (see enqueueEvents()) while a drain waits on a notifier, and saving the whole copy would drop them.
+ * @param {*} entry outbox entry, as read by the drain
+ * @param {String} destination
+ */
+function saveDestinationStatus(entry, destination) {
+  const outbox = getOutbox();
+  const savedEntry = outbox.events[entry.id];
+  if (!savedEntry) {
+    return;
+  }
+  savedEntry.destinations[destination] = entry.destinations[destination];
+  saveOutbox(outbox);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
@@ -0,0 +1,116 @@
+/**
+ * Pool-level event detection (config.POOL_EVENTS): which pools are new, changed liquidity or lost their last external incentives.
+ * processPoolDeltas() and pool_isIncentivesEnded() in index.js turn what's found here into notable events.
+ */
+
+/**
+ * @param {Array} changedPoolIds ids of the pools with deltas since the previous poll
+ * @param {*} indexedPools current pools, indexed by id
+ * @param {*} oldIndexedPools pools of the previous poll, indexed by id
+ * @param {Number} minChangePercent liquidity changes up to this are ignored (config.POOL_EVENTS.LIQUIDITY_CHANGE_PERCENT)
+ * @returns {Array} [{ type: "NEW_POOL", poolId }, { type: "POOL_LIQUIDITY_CHANGE", poolId, liquidityChangePercent }]
+ */
+export function findPoolChanges(
+  changedPoolIds,
+  indexedPools,
+  oldIndexedPools,
+  minChangePercent
+) {
+  const changes = [];
+  for (const poolId of changedPoolIds) {
+    // pools are never removed from the chain, a missing one is an incomplete response
+    if (!indexedPools[poolId]) {
+      continue;
+    }
+    if (!oldIndexedPools[poolId]) {
+      changes.push({ type: "NEW_POOL", poolId: poolId });
+      continue;
+    }
+    const changePercent = getLiquidityChangePercent(
+      indexedPools[poolId],
+      oldIndexedPools[poolId]
+    );
+    if (Math.abs(changePercent) > minChangePercent) {
+      changes.push({
+        type: "POOL_LIQUIDITY_CHANGE",
+        poolId: poolId,
+        liquidityChangePercent: changePercent,
+      });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Liquidity is measured by the pool's total shares, which (unlike its assets) don't change with swaps or prices.
+ * Only balancer and stableswap pools have shares: concentrated liquidity (and cosmwasm) pools never get a POOL_LIQUIDITY_CHANGE.
+ * @param {*} pool current indexed pool
+ * @param {*} oldPool the same pool from the previous poll
+ * @returns {Number|undefined} change in percent, undefined without shares
+ */
+function getLiquidityChangePercent(pool, oldPool) {
+  const totalShares = Number(pool.totalShares);
+  const totalSharesBefore = Number(oldPool.totalShares);
+  if (!(totalSharesBefore > 0) || !(totalShares >= 0)) {
+    return;
+  }
+  return ((totalShares - totalSharesBefore) / totalSharesBefore) * 100;
+}
+
+/**
+ * Pools whose last active external gauge has ended (paid out its last epoch, or was removed).
+ * @param {*} indexedGauges current gauges
+ * @param {*} oldIndexedGauges previous gauges
+ * @param {Function} getTags gauge => tags of this poll
+ * @param {Function} getOldTags gauge => tags of the previous poll (e.g. a gauge's rewards might have been withdrawn since)
+ * @returns {Array} [{ poolId, endedGauges }], the ended gauges as they are now (or were, if removed), ordered by gauge id
+ */
+export function findPoolsWithEndedIncentives(
+  indexedGauges,
+  oldIndexedGauges,
+  getTags,
+  getOldTags
+) {
+  const activeGauges = getActiveExternalGaugesPerPool(indexedGauges, getTags);
+  const oldActiveGauges = getActiveExternalGaugesPerPool(
+    oldIndexedGauges,
+    getOldTags
+  );
+  const pools = [];
+  for (const poolId in oldActiveGauges) {
+    if (activeGauges[poolId] || poolId == "NaN") {
+      continue;
+    }
+    pools.push({
+      poolId: poolId,
+      endedGauges: oldActiveGauges[poolId].map(
+        (oldGauge) => indexedGauges[oldGauge.id] || oldGauge
+      ),
+    });
+  }
+  return pools;
+}
+
+/**
+ * External gauges which still pay (or will pay) rewards: with coins, perpetual or with epochs left.
+ * @param {*} indexedGauges gauge-id indexed gauges
+ * @param {Function} getTags gauge => tags, see ./gauge-classifier.js
+ * @returns {*} pool-id indexed arrays of gauges, ordered by gauge id
+ */
+function getActiveExternalGaugesPerPool(indexedGauges, getTags) {
+  const activeGauges = {};
+  for (const id in indexedGauges) {
+    const gauge = indexedGauges[id];
+    const tags = getTags(gauge);
+    if (
+      tags.isExternal &&
+      gauge.coins?.length &&
+      (tags.isPerpetual ||
+        parseInt(gauge.filled_epochs) < parseInt(gauge.num_epochs_paid_over))
+    ) {
+      activeGauges[tags.poolId] = activeGauges[tags.poolId] || [];
+      activeGauges[tags.poolId].push(gauge);
+    }
+  }
+  return activeGauges;
+}
@@ -0,0 +1,103 @@
+/**
+ * USD prices of reward and pool assets (config.PRICES), used to estimate what an incentive is worth.
+ * The source is a local JSON file or an HTTP endpoint, answering { [denom or symbol]: usdPrice }
+ * (or { [denom or symbol]: { usd: usdPrice } }, like coingecko's simple price API), e.g. { "OSMO": 0.52, "ibc/27394F...": 8.1 }
+ * It's cached in prices.json (see ./storage) for config.PRICES.CACHE_SECONDS.
+ */
+
+import fs from "fs";
+import { ConsoleLogColors } from "js-console-log-colors";
+import config from "./config/config.js";
+import storage from "./storage/index.js";
+import { fetchWithTimeout } from "./utils.js";
+
+const out = new ConsoleLogColors();
+
+const PRICES_FILE = "prices.json";
+
+function isPricesCacheExpired() {
+  if (!storage.exists(PRICES_FILE)) {
+    return true;
+  }
+  const modifiedTime = storage.getModifiedTime(PRICES_FILE);
+  return (
+    (Date.now() - modifiedTime.getTime()) / 1000 > config.PRICES.CACHE_SECONDS
+  );
+}
+
+async function fetchPrices() {
+  const source = config.PRICES.SOURCE;
+  if (/^https?:\/\//.test(source)) {
+    const res = await fetchWithTimeout(source);
+    if (!res.ok) {
+      throw new Error(`HTTP ${res.status} ${res.statusText}`);
+    }
+    return res.json();
+  }
+  return JSON.parse(fs.readFileSync(source, "utf8"));
+}
+
+/**
+ * @returns {Promise<*>} { [denom or symbol, lower case]: usdPrice }, the stale cache if the source is unavailable (or {} if there's none)
+ */
+export async function getPrices() {
+  let prices;
+  if (isPricesCacheExpired()) {
+    try {
+      prices = await fetchPrices();
+      storage.writeFile(PRICES_FILE, JSON.stringify(prices));
+    } catch (err) {
+      out.error(`Unable to get prices from ${config.PRICES.SOURCE}:`);
+      out.error(err.message);
+    }
+  }
+  if (!prices) {
+    try {
+      prices = JSON.parse(storage.readFile(PRICES_FILE));
+    } catch (err) {
+      prices = {};
+    }
+  }
+  const normalizedPrices = {};
+  for (const key in prices) {
+    const price = parseFloat(prices[key]?.usd ?? prices[key]);
+    if (price >= 0) {
+      normalizedPrices[key.toLowerCase()] = price;
+    }
+  }
+  return normalizedPrices;
+}
+
+/**
+ * @param {*} prices from getPrices()
+ * @param {*} coin coin from getCoinsInfo() in index.js
+ * @returns {Number|undefined} USD price of one (display) unit, by denom then symbol
+ */
+function getPrice(prices, coin) {
+  for (const key of [coin.denom, coin.symbol]) {
+    if (key && prices[key.toLowerCase()] !== undefined) {
+      return prices[key.toLowerCase()];
+    }
+  }
+}
+
+/**
+ * @param {Array} coins coins from getCoinsInfo() in index.js, with their exponent
+ * @param {*} prices from getPrices()
+ * @returns {Number|undefined} total USD value, undefined unless every coin has a price, an exponent and an amount
+ */
+export function getUsdValue(coins, prices) {
+  let value = 0;
+  for (const coin of coins) {
+    const price = getPrice(prices, coin);
+    if (
+      price === undefined ||
+      coin.exponent === undefined ||
+      coin.amount === undefined
+    ) {
+      return;
+    }
+    value += (Number(coin.amount) / Math.pow(10, coin.exponent)) * price;
+  }
+  return value;
+}
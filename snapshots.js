@@ -0,0 +1,113 @@
+/**
+ * Gzipped, timestamped snapshots of the indexed gauges (config.SNAPSHOTS), one per poll in which the gauges changed.
+ * <SNAPSHOTS.DIR>/2024-01-31T17-16-00-000Z.json.gz, the file name (without extension) is the snapshot id.
+ * Each one holds { block, indexedGauges }, block being the { height, time } the gauges were read at.
+ * See replaySnapshots() in index.js for re-processing the deltas between two of them.
+ */
+
+import fs from "fs";
+import path from "path";
+import zlib from "zlib";
+import config from "./config/config.js";
+
+const SNAPSHOT_REGEX =
+  /^(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)\.json\.gz$/;
+
+/**
+ * @param {String} id e.g. "2024-01-31T17-16-00-000Z"
+ * @returns {Date}
+ */
+function getSnapshotDate(id) {
+  const [, date, hours, minutes, seconds, ms] = id.match(
+    /^(.+)T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/
+  );
+  return new Date(`${date}T${hours}:${minutes}:${seconds}.${ms}Z`);
+}
+
+/**
+ * @param {*} indexedGauges
+ * @param {Date} date time of the poll
+ * @param {*} block { height, time } the gauges were read at, or null if unknown
+ * @returns {String} snapshot id
+ */
+export function saveSnapshot(indexedGauges, date = new Date(), block = null) {
+  fs.mkdirSync(config.SNAPSHOTS.DIR, { recursive: true });
+  const id = date.toISOString().replace(/[:.]/g, "-");
+  fs.writeFileSync(
+    path.join(config.SNAPSHOTS.DIR, `${id}.json.gz`),
+    zlib.gzipSync(
+      JSON.stringify({ block: block, indexedGauges: indexedGauges })
+    )
+  );
+  return id;
+}
+
+/**
+ * @returns {Array<{id: String, createdAt: Date}>} oldest first
+ */
+export function listSnapshots() {
+  if (!fs.existsSync(config.SNAPSHOTS.DIR)) {
+    return [];
+  }
+  return fs
+    .readdirSync(config.SNAPSHOTS.DIR)
+    .map((filename) => filename.match(SNAPSHOT_REGEX)?.[1])
+    .filter(Boolean)
+    .sort()
+    .map((id) => ({ id: id, createdAt: getSnapshotDate(id) }));
+}
+
+/**
+ * @param {String} id snapshot id
+ * @returns {{indexedGauges: *, block: *}} block is null if unknown
+ */
+export function readSnapshot(id) {
+  const snapshot = JSON.parse(
+    zlib.gunzipSync(
+      fs.readFileSync(path.join(config.SNAPSHOTS.DIR, `${id}.json.gz`))
+    )
+  );
+  // snapshots taken before they were tagged with their block only hold the gauges
+  if (!snapshot.indexedGauges) {
+    return { indexedGauges: snapshot, block: null };
+  }
+  return snapshot;
+}
+
+/**
+ * @param {String} ref snapshot id, or a date (e.g. "2024-01-31" or "2024-01-31T12:00:00Z"): the latest snapshot taken at or before it
+ * @returns {String|undefined} snapshot id
+ */
+export function findSnapshot(ref) {
+  const snapshots = listSnapshots();
+  if (snapshots.some((snapshot) => snapshot.id == ref)) {
+    return ref;
+  }
+  const time = new Date(ref).getTime();
+  if (isNaN(time)) {
+    return;
+  }
+  return snapshots
+    .filter((snapshot) => snapshot.createdAt.getTime() <= time)
+    .pop()?.id;
+}
+
+/**
+ * Deletes snapshots older than config.SNAPSHOTS.RETENTION_DAYS (0 keeps everything), but never the latest one.
+ * @returns {String[]} deleted snapshot ids
+ */
+export function pruneSnapshots() {
+  if (!config.SNAPSHOTS.RETENTION_DAYS) {
+    return [];
+  }
+  const oldestTime =
+    Date.now() - config.SNAPSHOTS.RETENTION_DAYS * 86400 * 1000;
+  const deleted = [];
+  for (const snapshot of listSnapshots().slice(0, -1)) {
+    if (snapshot.createdAt.getTime() < oldestTime) {
+      fs.unlinkSync(path.join(config.SNAPSHOTS.DIR, `${snapshot.id}.json.gz`));
+      deleted.push(snapshot.id);
+    }
+  }
+  return deleted;
+}
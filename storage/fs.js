@@ -0,0 +1,40 @@
+/**
+ * Filesystem storage backend: one file per name in config.STORAGE.DIR (./cache by default).
+ * Writes go to a temporary file which is fsync'ed and then renamed over the original, so they're atomic.
+ */
+
+import fs from "fs";
+import path from "path";
+import config from "../config/config.js";
+
+function getPath(name) {
+  return path.join(config.STORAGE?.DIR || "./cache", name);
+}
+
+function readFile(name) {
+  return fs.readFileSync(getPath(name), "utf8");
+}
+
+function writeFile(name, content) {
+  const filename = getPath(name);
+  const tmpFilename = `${filename}.${process.pid}.tmp`;
+  fs.mkdirSync(path.dirname(filename), { recursive: true });
+  const fd = fs.openSync(tmpFilename, "w");
+  try {
+    fs.writeSync(fd, content);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmpFilename, filename);
+}
+
+function exists(name) {
+  return fs.existsSync(getPath(name));
+}
+
+function getModifiedTime(name) {
+  return fs.statSync(getPath(name)).mtime;
+}
+
+export default { name: "fs", readFile, writeFile, exists, getModifiedTime };
@@ -0,0 +1,36 @@
+/**
+ * Storage for the cache files (config.STORAGE.BACKEND), keyed by file name, e.g. "gauges.json".
+ *
+ * Each backend implements:
+ * - readFile(name): content as a string, throws if there is no such file
+ * - writeFile(name, content): atomic, a crash mid-write leaves the previous content (never a truncated file)
+ * - exists(name)
+ * - getModifiedTime(name): Date of the last write, throws if there is no such file
+ *
+ * The backend is looked up on every call, so a config reload can switch it.
+ */
+
+import config from "../config/config.js";
+import fsStorage from "./fs.js";
+import sqliteStorage from "./sqlite.js";
+
+const backends = { fs: fsStorage, sqlite: sqliteStorage };
+
+function getBackend() {
+  const name = config.STORAGE?.BACKEND || "fs";
+  if (!backends[name]) {
+    throw new Error(
+      `Unknown storage backend "${name}" (config.STORAGE.BACKEND)`
+    );
+  }
+  return backends[name];
+}
+
+export default {
+  readFile: (name) => getBackend().readFile(name),
+  writeFile: (name, content) => getBackend().writeFile(name, content),
+  exists: (name) => getBackend().exists(name),
+  getModifiedTime: (name) => getBackend().getModifiedTime(name),
+  copyFile: (from, to) =>
+    getBackend().writeFile(to, getBackend().readFile(from)),
+};
@@ -0,0 +1,92 @@
+/**
+ * SQLite storage backend: every file is a row of the "files" table in config.STORAGE.SQLITE_FILE.
+ * Each write is a single transaction, so it's atomic. better-sqlite3 is only loaded when this backend is used.
+ * When the database is created, existing files from config.STORAGE.DIR are imported, so switching from "fs" keeps the cache.
+ */
+
+import fs from "fs";
+import path from "path";
+import { createRequire } from "module";
+import config from "../config/config.js";
+
+const require = createRequire(import.meta.url);
+
+let db = null;
+let dbFilename = null;
+
+function getDatabase() {
+  const filename = config.STORAGE.SQLITE_FILE;
+  if (db && dbFilename == filename) {
+    return db;
+  }
+  db?.close();
+
+  const Database = require("better-sqlite3");
+  fs.mkdirSync(path.dirname(filename), { recursive: true });
+  const isNew = !fs.existsSync(filename);
+  db = new Database(filename);
+  dbFilename = filename;
+  db.pragma("journal_mode = WAL");
+  db.exec(
+    "CREATE TABLE IF NOT EXISTS files (name TEXT PRIMARY KEY, content TEXT NOT NULL, modified_at INTEGER NOT NULL)"
+  );
+  if (isNew) {
+    importFiles(config.STORAGE.DIR || "./cache");
+  }
+  return db;
+}
+
+function importFiles(dir) {
+  if (!fs.existsSync(dir)) {
+    return;
+  }
+  const insert = db.prepare(
+    "INSERT OR IGNORE INTO files (name, content, modified_at) VALUES (?, ?, ?)"
+  );
+  db.transaction(() => {
+    for (const name of fs.readdirSync(dir)) {
+      if (name.endsWith(".json")) {
+        const filename = path.join(dir, name);
+        insert.run(
+          name,
+          fs.readFileSync(filename, "utf8"),
+          Math.floor(fs.statSync(filename).mtimeMs)
+        );
+      }
+    }
+  })();
+}
+
+function getRow(name) {
+  const row = getDatabase()
+    .prepare("SELECT content, modified_at FROM files WHERE name = ?")
+    .get(name);
+  if (!row) {
+    throw new Error(`No such file in ${config.STORAGE.SQLITE_FILE}: ${name}`);
+  }
+  return row;
+}
+
+function readFile(name) {
+  return getRow(name).content;
+}
+
+function writeFile(name, content) {
+  getDatabase()
+    .prepare(
+      "INSERT INTO files (name, content, modified_at) VALUES (?, ?, ?) ON CONFLICT(name) DO UPDATE SET content = excluded.content, modified_at = excluded.modified_at"
+    )
+    .run(name, content, Date.now());
+}
+
+function exists(name) {
+  return !!getDatabase()
+    .prepare("SELECT 1 FROM files WHERE name = ?")
+    .get(name);
+}
+
+function getModifiedTime(name) {
+  return new Date(getRow(name).modified_at);
+}
+
+export default { name: "sqlite", readFile, writeFile, exists, getModifiedTime };
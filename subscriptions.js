@@ -0,0 +1,142 @@
+/**
+ * Per-chat subscriptions (watched pools, reward denoms, bond durations and wallets), e.g. managed by the Telegram bot.
+ * Stored in subscriptions.json (see ./storage) as { [channel]: { [target]: { pools: [], denoms: [], durations: [], wallets: [] } } }
+ */
+
+import storage from "./storage/index.js";
+
+const SUBSCRIPTIONS_FILE = "subscriptions.json";
+
+export const FILTER_KEYS = ["pools", "denoms", "durations", "wallets"];
+
+function readSubscriptions() {
+  try {
+    return JSON.parse(storage.readFile(SUBSCRIPTIONS_FILE)) || {};
+  } catch (err) {
+    return {};
+  }
+}
+
+function writeSubscriptions(subscriptions) {
+  storage.writeFile(SUBSCRIPTIONS_FILE, JSON.stringify(subscriptions));
+}
+
+/**
+ * @param {String} channel notifier name, e.g. "telegram"
+ * @param {String} target e.g. telegram chat id
+ * @returns {{pools: String[], denoms: String[], durations: Number[], wallets: String[]}}
+ */
+export function getSubscription(channel, target) {
+  const subscription = readSubscriptions()[channel]?.[target] || {};
+  return {
+    pools: subscription.pools || [],
+    denoms: subscription.denoms || [],
+    durations: subscription.durations || [],
+    wallets: subscription.wallets || [],
+  };
+}
+
+/**
+ * Saves a target's filters. A subscription without any filters is removed.
+ * @param {String} channel notifier name, e.g. "telegram"
+ * @param {String} target e.g. telegram chat id
+ * @param {*} subscription as returned by getSubscription()
+ */
+export function saveSubscription(channel, target, subscription) {
+  const subscriptions = readSubscriptions();
+  subscriptions[channel] = subscriptions[channel] || {};
+  if (FILTER_KEYS.some((key) => subscription[key]?.length)) {
+    subscriptions[channel][target] = subscription;
+  } else {
+    delete subscriptions[channel][target];
+  }
+  writeSubscriptions(subscriptions);
+}
+
+/**
+ * @param {String} key filter, e.g. "wallets"
+ * @returns {String[]} distinct values watched by any target of any channel
+ */
+export function getWatchedValues(key) {
+  const values = new Set();
+  for (const targets of Object.values(readSubscriptions())) {
+    for (const subscription of Object.values(targets)) {
+      for (const value of subscription[key] || []) {
+        values.add(value);
+      }
+    }
+  }
+  return [...values];
+}
+
+/**
+ * Targets whose subscription matches a notification.
+ * @param {String} channel notifier name, e.g. "telegram"
+ * @param {*} view notification view, as created by buildNotificationView() in index.js
+ * @returns {String[]} targets
+ */
+export function getSubscribedTargets(channel, view) {
+  const subscriptions = readSubscriptions()[channel] || {};
+  return Object.keys(subscriptions).filter((target) =>
+    isSubscriptionMatch(subscriptions[target], view)
+  );
+}
+
+/**
+ * Watched pools and denoms add up (an event matches if it's in any watched pool OR pays any watched denom),
+ * watched durations narrow that down (or, on their own, match every gauge with one of those durations).
+ * An epoch digest matches if any of the gauge events listed in it does.
+ * Watched wallets only match personal alerts (WALLET_* events) about that wallet.
+ * @param {*} subscription { pools, denoms, durations, wallets }
+ * @param {*} view notification view
+ * @returns {Boolean}
+ */
+export function isSubscriptionMatch(subscription, view) {
+  if (view.isPersonal) {
+    return (subscription.wallets || []).includes(view.address);
+  }
+
+  const gaugeEvents =
+    view.type == "EPOCH_DIGEST"
+      ? view.pools.flatMap((pool) =>
+          pool.events.map((event) => ({ ...event, poolId: pool.poolId }))
+        )
+      : [view];
+
+  return gaugeEvents.some((event) => {
+    const pools = subscription.pools || [];
+    const denoms = subscription.denoms || [];
+    const durations = subscription.durations || [];
+    if (
+      durations.length &&
+      !durations.map(Number).includes(Number(event.bondDurationDays))
+    ) {
+      return false;
+    }
+    if (!pools.length && !denoms.length) {
+      return durations.length > 0;
+    }
+    return (
+      pools.map(String).includes(String(event.poolId)) ||
+      (event.coinsList || []).some((coin) =>
+        denoms.some((denom) => isDenomMatch(denom, coin))
+      )
+    );
+  });
+}
+
+/**
+ * Denoms can be watched by denom ("ibc/27394F..."), by symbol ("ATOM") or by base denom ("uatom"), case insensitive.
+ * @param {String} denom watched denom
+ * @param {*} coin coin from getCoinsInfo()
+ * @returns {Boolean}
+ */
+function isDenomMatch(denom, coin) {
+  const watched = denom.toLowerCase();
+  const symbol = coin.symbol?.toLowerCase();
+  return (
+    watched == coin.denom?.toLowerCase() ||
+    watched == symbol ||
+    (symbol !== undefined && watched == `u${symbol}`)
+  );
+}
@@ -0,0 +1,60 @@
+/**
+ * Notification message templates, see ./templates/README.md
+ * Templates are looked up in config.TEMPLATES.DIR first (your own overrides), then in ./templates.
+ */
+
+import fs from "fs";
+import path from "path";
+import Mustache from "mustache";
+import config from "./config/config.js";
+
+const DEFAULT_TEMPLATES_DIR = "./templates";
+
+/**
+ * Reads a template file. Not cached, so edited templates are picked up straight away.
+ * @param {String} channel notifier name, e.g. "telegram"
+ * @param {String} name event type, or "partials/..."
+ * @returns {String|null} template, or null if there is none
+ */
+function readTemplate(channel, name) {
+  for (const dir of [config.TEMPLATES?.DIR, DEFAULT_TEMPLATES_DIR]) {
+    if (!dir) {
+      continue;
+    }
+    const filename = path.join(dir, channel, `${name}.mustache`);
+    if (fs.existsSync(filename)) {
+      return fs.readFileSync(filename, "utf8");
+    }
+  }
+  return null;
+}
+
+/**
+ * Renders a channel's template for a notification view.
+ * @param {String} channel notifier name, e.g. "telegram"
+ * @param {*} view notification view, as created by buildNotificationView() in index.js
+ * @param {Function} escape escapes {{variables}} for the channel's markup ({{{variables}}} are never escaped)
+ * @returns {String|null} rendered message, or null if the channel has no template for this event type
+ */
+export function renderTemplate(channel, view, escape = String) {
+  const template = readTemplate(channel, view.type);
+  if (template === null) {
+    return null;
+  }
+  return Mustache.render(
+    template,
+    view,
+    (partial) => readTemplate(channel, `partials/${partial}`) ?? "",
+    { escape: escape }
+  ).trim();
+}
+
+/**
+ * Renders a one-line template from the config, e.g. config.TEMPLATES.POOL_URL
+ * @param {String} template
+ * @param {*} view variables
+ * @returns {String}
+ */
+export function renderString(template, view) {
+  return Mustache.render(template, view, {}, { escape: String });
+}
@@ -0,0 +1,207 @@
+import assert from "node:assert/strict";
+import http from "node:http";
+import { after, before, beforeEach, describe, test } from "node:test";
+import config from "../config/config.js";
+import { getResolvedDenom, resolveDenom } from "../assets.js";
+import { Response, routes } from "./test-fetch.js";
+
+const ASSETLIST_URL_PREFIX = "https://raw.githubusercontent.com/";
+const ATOM =
+  "ibc/27394FB092D2ECCD56123C74F36E4C1F926001CEADA9CA97EA622B25F41E5EB2";
+const TIA =
+  "ibc/D79E7D83AB399BFFF93433E54FAA480C191248FC556924A2A8351AE2638B3877";
+const FOO = "factory/osmo1creator/ufoo";
+
+const assetlist = {
+  assets: [
+    {
+      base: "uosmo",
+      symbol: "OSMO",
+      display: "osmo",
+      // the display unit isn't always the last one
+      denom_units: [
+        { denom: "uosmo", exponent: 0 },
+        { denom: "osmo", exponent: 6 },
+        { denom: "mosmo", exponent: 3 },
+      ],
+    },
+    {
+      base: "uion",
+      symbol: "ION",
+      display: "ion",
+      denom_units: [
+        { denom: "uion", exponent: 0 },
+        { denom: "ion", exponent: 6 },
+      ],
+    },
+    {
+      base: "uakt",
+      symbol: "AKT",
+      display: "akt",
+      denom_units: [
+        { denom: "uakt", exponent: 0 },
+        { denom: "akt", exponent: 6 },
+      ],
+    },
+  ],
+};
+
+let server;
+let requests; // paths of every request to the endpoint
+let isEndpointDown;
+let assetlistRequests; // fetches of the assetlist from github
+let isGithubDown;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    requests.push(url.pathname);
+    let json = {};
+    if (url.pathname.endsWith(ATOM.slice(4))) {
+      json = {
+        denom_trace: {
+          path: "transfer/channel-0/transfer/channel-42",
+          base_denom: "uatom",
+        },
+      };
+    } else if (url.pathname.endsWith(TIA.slice(4))) {
+      json = {
+        denom_trace: { path: "transfer/channel-6994", base_denom: "utia" },
+      };
+    } else if (url.searchParams.get("denom") == FOO) {
+      json = {
+        metadata: {
+          symbol: "FOO",
+          display: "foo",
+          denom_units: [
+            { denom: FOO, exponent: 0 },
+            { denom: "foo", exponent: 12 },
+          ],
+        },
+      };
+    }
+    res.writeHead(isEndpointDown ? 500 : 200, {
+      "content-type": "application/json",
+    });
+    res.end(JSON.stringify(json));
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  config.API.ENDPOINTS = [`http://127.0.0.1:${server.address().port}`];
+
+  // the assetlist comes from github: answer it here
+  routes[ASSETLIST_URL_PREFIX] = async () => {
+    assetlistRequests++;
+    if (isGithubDown) {
+      throw new Error("fetch failed");
+    }
+    return new Response(JSON.stringify(assetlist));
+  };
+});
+
+after(() => {
+  delete routes[ASSETLIST_URL_PREFIX];
+  server.close();
+});
+
+beforeEach(() => {
+  requests = [];
+  isEndpointDown = false;
+  assetlistRequests = 0;
+  isGithubDown = false;
+});
+
+describe("resolveDenom()", () => {
+  test("names gamm shares after their pool, without any lookup", async () => {
+    assert.deepEqual(await resolveDenom("gamm/pool/1"), {
+      denom: "gamm/pool/1",
+      type: "gamm",
+      symbol: "GAMM-1",
+      exponent: 18,
+      source: "denom",
+    });
+    assert.equal(assetlistRequests, 0);
+    assert.deepEqual(requests, []);
+  });
+
+  test("takes the symbol and the display unit's exponent from the assetlist", async () => {
+    assert.deepEqual(await resolveDenom("uosmo"), {
+      denom: "uosmo",
+      type: "native",
+      symbol: "OSMO",
+      exponent: 6,
+      source: "assetlist",
+    });
+    assert.equal(assetlistRequests, 1);
+    assert.deepEqual(requests, []);
+  });
+
+  test("follows every hop of an IBC denom's trace back to its base denom", async () => {
+    assert.deepEqual(await resolveDenom(ATOM), {
+      denom: ATOM,
+      type: "ibc",
+      baseDenom: "uatom",
+      path: "transfer/channel-0/transfer/channel-42",
+      hops: 2,
+      symbol: "ATOM",
+      exponent: 6,
+      source: "trace",
+    });
+  });
+
+  test("uses the chain's denom metadata for tokenfactory denoms", async () => {
+    assert.deepEqual(await resolveDenom(FOO), {
+      denom: FOO,
+      type: "factory",
+      symbol: "FOO",
+      exponent: 12,
+      source: "metadata",
+    });
+  });
+
+  test("caches what it resolved", async () => {
+    for (const denom of ["uosmo", ATOM, FOO]) {
+      await resolveDenom(denom);
+    }
+    assert.equal(assetlistRequests, 0);
+    assert.deepEqual(requests, []);
+  });
+
+  test("looks a denom up again if the endpoint was down", async () => {
+    isEndpointDown = true;
+    assert.deepEqual(await resolveDenom(TIA), {
+      denom: TIA,
+      type: "ibc",
+      symbol: TIA,
+      source: "denom",
+    });
+    assert.equal(getResolvedDenom(TIA), undefined);
+
+    isEndpointDown = false;
+    assert.equal((await resolveDenom(TIA)).symbol, "TIA");
+    assert.equal(getResolvedDenom(TIA).symbol, "TIA");
+    assert.equal(requests.length, 2);
+  });
+});
+
+describe("getResolvedDenom()", () => {
+  test("returns what resolveDenom() cached, and never looks anything up", () => {
+    assert.equal(getResolvedDenom("uosmo").symbol, "OSMO");
+    assert.equal(getResolvedDenom("uion"), undefined);
+    assert.equal(getResolvedDenom("uunknown"), undefined);
+    assert.equal(assetlistRequests, 0);
+    assert.deepEqual(requests, []);
+  });
+});
+
+describe("assetlist", () => {
+  test("keeps the last good one while github is down, without refetching it on every lookup", async () => {
+    config.ASSETLIST_CACHE_SECONDS = -1; // always expired
+    isGithubDown = true;
+
+    assert.equal((await resolveDenom("uion")).symbol, "ION");
+    assert.equal(assetlistRequests, 1);
+
+    assert.equal((await resolveDenom("uakt")).symbol, "AKT");
+    assert.equal(assetlistRequests, 1);
+  });
+});
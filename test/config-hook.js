@@ -0,0 +1,17 @@
+/**
+ * Module resolve hook (see ./setup.js): imports of ./config/config.js resolve to ./test-config.js,
+ * and imports of node-fetch to ./test-fetch.js (which itself gets the real one).
+ */
+
+const TEST_CONFIG_URL = new URL("./test-config.js", import.meta.url).href;
+const TEST_FETCH_URL = new URL("./test-fetch.js", import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  if (/\/config\/config\.js(\?.*)?$/.test(specifier)) {
+    return { url: TEST_CONFIG_URL, shortCircuit: true };
+  }
+  if (specifier == "node-fetch" && context.parentURL != TEST_FETCH_URL) {
+    return { url: TEST_FETCH_URL, shortCircuit: true };
+  }
+  return nextResolve(specifier, context);
+}
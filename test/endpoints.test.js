@@ -0,0 +1,189 @@
+import assert from "node:assert/strict";
+import http from "node:http";
+import { after, before, beforeEach, describe, test } from "node:test";
+import config from "../config/config.js";
+import { fetchAllPages, getEndpointsHealth } from "../endpoints.js";
+
+const PATH = "/osmosis/incentives/v1beta1/gauges";
+
+let server;
+let requests; // { offset, countTotal, height } of every request to PATH
+let respond; // (offset, limit) => [status, json]
+let latestHeight; // the server's latest block, a new one on every unpinned request
+
+/**
+ * @param {Array} items every item of the list
+ * @param {Number} total reported on the first page
+ */
+function paginate(items, total = items.length) {
+  return (offset, limit) => {
+    const nextOffset = offset + limit;
+    return [
+      200,
+      {
+        data: items.slice(offset, nextOffset),
+        pagination: {
+          next_key:
+            nextOffset < items.length
+              ? Buffer.from(String(nextOffset)).toString("base64")
+              : null,
+          total: offset == 0 ? String(total) : "0",
+        },
+      },
+    ];
+  };
+}
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const key = url.searchParams.get("pagination.key");
+    const offset = key ? parseInt(Buffer.from(key, "base64").toString()) : 0;
+    requests.push({
+      offset: offset,
+      countTotal: url.searchParams.get("pagination.count_total") == "true",
+      height: req.headers["x-cosmos-block-height"],
+    });
+    const [status, json] = respond(
+      offset,
+      parseInt(url.searchParams.get("pagination.limit"))
+    );
+    res.writeHead(status, {
+      "content-type": "application/json",
+      // the block the endpoint answered at: the one asked for, else its latest
+      "grpc-metadata-x-cosmos-block-height":
+        req.headers["x-cosmos-block-height"] || String(latestHeight++),
+    });
+    res.end(JSON.stringify(json));
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  config.API.ENDPOINTS = [`http://127.0.0.1:${server.address().port}`];
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+  requests = [];
+  latestHeight = 100;
+  Object.assign(config.API, {
+    PAGE_SIZE: 2,
+    PAGE_RETRIES: 1,
+    MAX_PAGES: 10,
+    RETRY_ATTEMPTS: 0,
+    RETRY_INTERVAL_MS: 0,
+  });
+});
+
+describe("fetchAllPages()", () => {
+  test("follows pagination.next_key, asking for the total on the first page only", async () => {
+    respond = paginate([1, 2, 3, 4, 5]);
+
+    const { items, total, height } = await fetchAllPages(PATH, "data", {
+      height: 1234,
+    });
+
+    assert.deepEqual(items, [1, 2, 3, 4, 5]);
+    assert.equal(total, 5);
+    assert.equal(height, 1234);
+    assert.deepEqual(requests, [
+      { offset: 0, countTotal: true, height: "1234" },
+      { offset: 2, countTotal: false, height: "1234" },
+      { offset: 4, countTotal: false, height: "1234" },
+    ]);
+  });
+
+  test("reads every page at the block the first one was read at, with pinToFirstPage", async () => {
+    respond = paginate([1, 2, 3, 4, 5]);
+
+    const { items, height } = await fetchAllPages(PATH, "data", {
+      pinToFirstPage: true,
+    });
+
+    assert.deepEqual(items, [1, 2, 3, 4, 5]);
+    assert.equal(height, 100);
+    assert.deepEqual(
+      requests.map((request) => request.height),
+      [undefined, "100", "100"]
+    );
+  });
+
+  test("reports the first page's block, without pinning the others", async () => {
+    respond = paginate([1, 2, 3]);
+
+    const { height } = await fetchAllPages(PATH, "data");
+
+    assert.equal(height, 100);
+    assert.deepEqual(
+      requests.map((request) => request.height),
+      [undefined, undefined]
+    );
+  });
+
+  test("retries a failed page on its own, without starting over", async () => {
+    const list = paginate([1, 2, 3, 4]);
+    let failures = 1;
+    respond = (offset, limit) => {
+      if (offset == 2 && failures-- > 0) {
+        return [500, { code: 13, message: "internal" }];
+      }
+      return list(offset, limit);
+    };
+
+    const { items } = await fetchAllPages(PATH, "data");
+
+    assert.deepEqual(items, [1, 2, 3, 4]);
+    assert.deepEqual(
+      requests.map((request) => request.offset),
+      [0, 2, 2]
+    );
+  });
+
+  test("fails once a page is out of retries", async () => {
+    respond = () => [200, { code: 5, message: "not found" }];
+
+    await assert.rejects(fetchAllPages(PATH, "data"), /no "data" array/);
+    assert.equal(requests.length, 2); // config.API.PAGE_RETRIES + 1
+  });
+
+  test("fails if the items don't add up to the reported total", async () => {
+    respond = paginate([1, 2, 3], 4);
+
+    await assert.rejects(
+      fetchAllPages(PATH, "data"),
+      /returned 3 items, but reported a total of 4/
+    );
+  });
+
+  test("fails after config.API.MAX_PAGES", async () => {
+    config.API.MAX_PAGES = 2;
+    respond = paginate([1, 2, 3, 4, 5]);
+
+    await assert.rejects(fetchAllPages(PATH, "data"), /more than 2 pages/);
+    assert.equal(requests.length, 2);
+  });
+});
+
+describe("getEndpointsHealth()", () => {
+  test("follows config.API.ENDPOINTS changes (config reload), keeping the health of the remaining endpoints", async () => {
+    const url = config.API.ENDPOINTS[0];
+    respond = paginate([1]);
+    await fetchAllPages(PATH, "data");
+
+    config.API.ENDPOINTS = ["http://127.0.0.1:1/", url];
+    const health = getEndpointsHealth();
+    assert.deepEqual(
+      health.map((endpoint) => endpoint.url).sort(),
+      ["http://127.0.0.1:1", url].sort()
+    );
+    assert.notEqual(
+      health.find((endpoint) => endpoint.url == url).latencyMs,
+      undefined
+    );
+
+    config.API.ENDPOINTS = [url];
+    assert.deepEqual(
+      getEndpointsHealth().map((endpoint) => endpoint.url),
+      [url]
+    );
+  });
+});
@@ -0,0 +1,127 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { classifyGauge, classifyGauges } from "../gauge-classifier.js";
+
+function gauge(
+  id,
+  denom,
+  {
+    coins = [{ denom: "uion", amount: "1000" }],
+    isPerpetual = false,
+    duration = "1209600s",
+  } = {}
+) {
+  return {
+    id: String(id),
+    is_perpetual: isPerpetual,
+    coins: coins,
+    distribute_to: {
+      lock_query_type: denom.startsWith("no-lock/") ? "NoLock" : "ByDuration",
+      denom: denom,
+      duration: duration,
+    },
+  };
+}
+
+describe("classifyGauge()", () => {
+  test("tags an external gauge on a pool's shares", () => {
+    assert.deepEqual(classifyGauge(gauge(1, "gamm/pool/678")), {
+      poolId: "678",
+      bondDurationDays: 14,
+      lockQueryType: "ByDuration",
+      isInternal: false,
+      isExternal: true,
+      isSuperfluid: false,
+      isPerpetual: false,
+      isConcentrated: false,
+      isNoLock: false,
+      isPlaceholder: false,
+    });
+  });
+
+  test("finds the pool of superfluid, concentrated and no-lock gauges", () => {
+    const superfluid = classifyGauge(gauge(1, "gamm/pool/1/superbonding"));
+    assert.equal(superfluid.poolId, "1");
+    assert.equal(superfluid.isSuperfluid, true);
+
+    const concentrated = classifyGauge(gauge(2, "cl/pool/1066"));
+    assert.equal(concentrated.poolId, "1066");
+    assert.equal(concentrated.isConcentrated, true);
+
+    const noLock = classifyGauge(
+      gauge(3, "no-lock/e/1066", { duration: "0s" })
+    );
+    assert.deepEqual(
+      [
+        noLock.poolId,
+        noLock.isNoLock,
+        noLock.isConcentrated,
+        noLock.isExternal,
+      ],
+      ["1066", true, true, true]
+    );
+    assert.equal(noLock.bondDurationDays, 0);
+
+    assert.equal(
+      classifyGauge(
+        gauge(
+          4,
+          "ibc/27394FB092D2ECCD56123C74F36E4C1F926001CEADA9CA97EA622B25F41E5EB2"
+        )
+      ).poolId,
+      "NaN"
+    );
+  });
+
+  test("tags osmo incentives of perpetual gauges and internal no-lock gauges as internal", () => {
+    assert.equal(
+      classifyGauge(
+        gauge(1, "gamm/pool/1", {
+          isPerpetual: true,
+          coins: [{ denom: "uosmo", amount: "1" }],
+        })
+      ).isInternal,
+      true
+    );
+    assert.equal(
+      classifyGauge(gauge(2, "no-lock/i/1066", { isPerpetual: true }))
+        .isInternal,
+      true
+    );
+    // perpetual, but not osmo: someone else's
+    assert.equal(
+      classifyGauge(gauge(3, "gamm/pool/1", { isPerpetual: true })).isExternal,
+      true
+    );
+  });
+
+  test("only tags empty perpetual gauges as placeholders", () => {
+    const placeholder = classifyGauge(
+      gauge(1, "gamm/pool/1", { isPerpetual: true, coins: [] })
+    );
+    assert.deepEqual(
+      [placeholder.isPlaceholder, placeholder.isInternal],
+      [true, true]
+    );
+
+    // a new non-perpetual gauge, rewards not added (yet)
+    const empty = classifyGauge(gauge(2, "gamm/pool/1", { coins: [] }));
+    assert.deepEqual([empty.isPlaceholder, empty.isExternal], [false, true]);
+  });
+});
+
+describe("classifyGauges()", () => {
+  test("tags the only superfluid gauge of a pool as its first", () => {
+    const tags = classifyGauges({
+      1: gauge(1, "gamm/pool/1/superbonding"),
+      2: gauge(2, "gamm/pool/2/superbonding"),
+      3: gauge(3, "gamm/pool/2/superbonding"),
+      4: gauge(4, "gamm/pool/2"),
+    });
+
+    assert.deepEqual(
+      Object.values(tags).map((gaugeTags) => gaugeTags.isFirstSuperfluidGauge),
+      [true, false, false, false]
+    );
+  });
+});
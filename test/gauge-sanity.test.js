@@ -0,0 +1,86 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { checkGauges } from "../gauge-sanity.js";
+
+const LIMITS = { maxDropPercent: 10, maxDropPolls: 3 };
+
+function gauges(count) {
+  return Array.from({ length: count }, (_, i) => ({ id: String(i + 1) }));
+}
+
+describe("checkGauges()", () => {
+  test("accepts the gauges of the first run, and small changes", () => {
+    assert.deepEqual(
+      checkGauges(gauges(100), { count: 0, droppedPolls: 0 }, LIMITS),
+      {
+        error: undefined,
+        isDrop: false,
+      }
+    );
+    assert.deepEqual(
+      checkGauges(gauges(90), { count: 100, droppedPolls: 0 }, LIMITS),
+      {
+        error: undefined,
+        isDrop: false,
+      }
+    );
+    assert.deepEqual(
+      checkGauges(gauges(200), { count: 100, droppedPolls: 0 }, LIMITS),
+      {
+        error: undefined,
+        isDrop: false,
+      }
+    );
+  });
+
+  test("rejects duplicates, i.e. pages which shifted while fetching", () => {
+    const { error, isDrop } = checkGauges(
+      [...gauges(10), { id: "3" }],
+      { count: 10, droppedPolls: 0 },
+      LIMITS
+    );
+
+    assert.match(error, /^1 duplicate gauge\(s\)/);
+    assert.equal(isDrop, false);
+  });
+
+  test("rejects a drop of more than maxDropPercent", () => {
+    const { error, isDrop } = checkGauges(
+      gauges(89),
+      { count: 100, droppedPolls: 0 },
+      LIMITS
+    );
+
+    assert.match(error, /^11 of 100 gauges disappeared/);
+    assert.equal(isDrop, true);
+  });
+
+  test("accepts a drop once it persisted for maxDropPolls polls in a row", () => {
+    const baseline = { count: 100, droppedPolls: 0 };
+    const results = [];
+    for (let poll = 0; poll < 3; poll++) {
+      results.push(checkGauges(gauges(50), baseline, LIMITS));
+      baseline.droppedPolls++;
+    }
+
+    assert.deepEqual(
+      results.map(({ error, isDrop }) => [error !== undefined, isDrop]),
+      [
+        [true, true],
+        [true, true],
+        [false, true],
+      ]
+    );
+  });
+
+  test("accepts any drop with a maxDropPercent of Infinity (--accept-gauges-drop)", () => {
+    assert.deepEqual(
+      checkGauges(
+        gauges(1),
+        { count: 100, droppedPolls: 0 },
+        { ...LIMITS, maxDropPercent: Infinity }
+      ),
+      { error: undefined, isDrop: false }
+    );
+  });
+});
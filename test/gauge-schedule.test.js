@@ -0,0 +1,76 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { isPaidOut, isStartingSoon } from "../gauge-schedule.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = Date.parse("2024-03-01T12:00:00Z");
+
+function gauge(filledEpochs = 0) {
+  return { id: "1", filled_epochs: String(filledEpochs) };
+}
+
+describe("isStartingSoon()", () => {
+  test("is starting soon within the lead time before its first distribution", () => {
+    const firstDistribution = new Date(NOW + 6 * HOUR_MS);
+
+    assert.equal(
+      isStartingSoon(gauge(), firstDistribution, 24 * HOUR_MS, NOW),
+      true
+    );
+    assert.equal(
+      isStartingSoon(gauge(), firstDistribution, 6 * HOUR_MS, NOW),
+      true
+    );
+    assert.equal(
+      isStartingSoon(gauge(), firstDistribution, 5 * HOUR_MS, NOW),
+      false
+    );
+  });
+
+  test("is still starting soon once its start_time has passed, until the epoch it's first paid at", () => {
+    // e.g. start_time an hour ago, first paid at the next epoch
+    const firstDistribution = new Date(NOW + 2 * HOUR_MS);
+
+    assert.equal(
+      isStartingSoon(gauge(), firstDistribution, 3 * HOUR_MS, NOW),
+      true
+    );
+  });
+
+  test("isn't once it has paid out, or its first distribution is due", () => {
+    const firstDistribution = new Date(NOW + HOUR_MS);
+
+    assert.equal(
+      isStartingSoon(gauge(1), firstDistribution, 24 * HOUR_MS, NOW),
+      false
+    );
+    assert.equal(
+      isStartingSoon(gauge(), new Date(NOW), 24 * HOUR_MS, NOW),
+      false
+    );
+  });
+});
+
+describe("isPaidOut()", () => {
+  test("is paid out once it filled its last epoch", () => {
+    assert.equal(
+      isPaidOut({ filled_epochs: "13", num_epochs_paid_over: "14" }),
+      false
+    );
+    assert.equal(
+      isPaidOut({ filled_epochs: "14", num_epochs_paid_over: "14" }),
+      true
+    );
+  });
+
+  test("is never paid out if perpetual", () => {
+    assert.equal(
+      isPaidOut({
+        is_perpetual: true,
+        filled_epochs: "300",
+        num_epochs_paid_over: "1",
+      }),
+      false
+    );
+  });
+});
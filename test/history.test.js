@@ -0,0 +1,155 @@
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { beforeEach, describe, test } from "node:test";
+import config from "../config/config.js";
+import {
+  appendHistory,
+  getLatestCursor,
+  pruneHistory,
+  readHistorySince,
+} from "../history.js";
+
+const DAY_MS = 86400 * 1000;
+
+/**
+ * Writes a segment the way appendHistory() would have on that day.
+ * @param {Array} cursors record cursors (unix ms)
+ * @param {String} trailer appended as is, e.g. a line cut short by a crash
+ */
+function writeSegment(cursors, trailer = "") {
+  fs.mkdirSync(config.HISTORY.DIR, { recursive: true });
+  const day = new Date(cursors[0]).toISOString().slice(0, 10);
+  const lines = cursors.map(
+    (cursor) =>
+      JSON.stringify({
+        cursor,
+        createdAt: new Date(cursor).toISOString(),
+        deltas: {},
+        events: [],
+      }) + "\n"
+  );
+  fs.writeFileSync(
+    path.join(config.HISTORY.DIR, `${day}.jsonl`),
+    lines.join("") + trailer
+  );
+}
+
+beforeEach(() => {
+  fs.rmSync(config.HISTORY.DIR, { recursive: true, force: true });
+  config.HISTORY.RETENTION_DAYS = 90;
+});
+
+describe("appendHistory()", () => {
+  test("gives every record a strictly increasing cursor, even within the same millisecond", () => {
+    const cursors = [1, 2, 3].map((i) =>
+      appendHistory({ [i]: {} }, [], { height: i, time: null })
+    );
+
+    assert.ok(cursors[0] < cursors[1] && cursors[1] < cursors[2]);
+    assert.equal(getLatestCursor(), cursors[2]);
+    const { records } = readHistorySince(0);
+    assert.deepEqual(
+      records.map((record) => [record.cursor, record.block.height]),
+      [
+        [cursors[0], 1],
+        [cursors[1], 2],
+        [cursors[2], 3],
+      ]
+    );
+  });
+
+  test("has no latest cursor without history", () => {
+    assert.equal(getLatestCursor(), 0);
+    assert.deepEqual(readHistorySince(0), {
+      records: [],
+      cursor: 0,
+      hasMore: false,
+    });
+  });
+
+  test("starts on a new line after a line cut short by a crash", () => {
+    const first = appendHistory({}, []);
+    const filename = path.join(
+      config.HISTORY.DIR,
+      `${new Date(first).toISOString().slice(0, 10)}.jsonl`
+    );
+    fs.appendFileSync(filename, '{"cursor":');
+
+    const second = appendHistory({}, []);
+
+    assert.deepEqual(
+      readHistorySince(0).records.map((record) => record.cursor),
+      [first, second]
+    );
+  });
+});
+
+describe("readHistorySince()", () => {
+  test("pages through every record once, across day segments", () => {
+    const twoDaysAgo = Date.now() - 2 * DAY_MS;
+    const yesterday = Date.now() - DAY_MS;
+    writeSegment([twoDaysAgo, twoDaysAgo + 1]);
+    writeSegment([yesterday]);
+    const today = appendHistory({}, []);
+
+    const first = readHistorySince(0, 3);
+    assert.deepEqual(
+      first.records.map((record) => record.cursor),
+      [twoDaysAgo, twoDaysAgo + 1, yesterday]
+    );
+    assert.equal(first.cursor, yesterday);
+    assert.equal(first.hasMore, true);
+
+    const second = readHistorySince(first.cursor, 3);
+    assert.deepEqual(
+      second.records.map((record) => record.cursor),
+      [today]
+    );
+    assert.equal(second.hasMore, false);
+
+    // nothing new: the same cursor comes back
+    assert.deepEqual(readHistorySince(second.cursor, 3), {
+      records: [],
+      cursor: second.cursor,
+      hasMore: false,
+    });
+  });
+
+  test("skips a line cut short by a crash", () => {
+    const yesterday = Date.now() - DAY_MS;
+    writeSegment([yesterday], '{"cursor":');
+    const today = appendHistory({}, []);
+
+    assert.deepEqual(
+      readHistorySince(0).records.map((record) => record.cursor),
+      [yesterday, today]
+    );
+  });
+});
+
+describe("pruneHistory()", () => {
+  test("deletes segments older than config.HISTORY.RETENTION_DAYS", () => {
+    const old = Date.now() - 10 * DAY_MS;
+    const recent = Date.now() - 2 * DAY_MS;
+    writeSegment([old]);
+    writeSegment([recent]);
+    config.HISTORY.RETENTION_DAYS = 5;
+
+    assert.deepEqual(pruneHistory(), [
+      new Date(old).toISOString().slice(0, 10),
+    ]);
+    assert.deepEqual(
+      readHistorySince(0).records.map((record) => record.cursor),
+      [recent]
+    );
+  });
+
+  test("keeps everything with a retention of 0", () => {
+    writeSegment([Date.now() - 1000 * DAY_MS]);
+    config.HISTORY.RETENTION_DAYS = 0;
+
+    assert.deepEqual(pruneHistory(), []);
+    assert.equal(readHistorySince(0).records.length, 1);
+  });
+});
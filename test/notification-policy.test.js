@@ -0,0 +1,111 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { getNotificationPolicyRejection } from "../notification-policy.js";
+
+const OSMO = { denom: "uosmo", symbol: "OSMO" };
+const ATOM = { denom: "ibc/27394F", symbol: "ATOM" };
+
+function expired(poolId, bondDurationDays, coins = [OSMO]) {
+  return {
+    type: "EXPIRED",
+    poolId: poolId,
+    bondDurationDays: bondDurationDays,
+    coins: coins,
+  };
+}
+
+describe("getNotificationPolicyRejection()", () => {
+  test("lets everything through without a policy", () => {
+    assert.equal(getNotificationPolicyRejection(expired(1, 14)), undefined);
+    assert.equal(getNotificationPolicyRejection(expired(1, 14), {}), undefined);
+  });
+
+  test("rejects disabled event types", () => {
+    const policy = { EVENT_TYPES: { EXPIRED: false, NEW_POOL: true } };
+    assert.equal(
+      getNotificationPolicyRejection(expired(1, 14), policy),
+      "event type EXPIRED is disabled"
+    );
+    assert.equal(
+      getNotificationPolicyRejection({ type: "NEW_POOL", poolId: 1 }, policy),
+      undefined
+    );
+  });
+
+  test("rejects event types disabled for a bond duration", () => {
+    const policy = { DURATION_1: { EXPIRED: false }, DURATION_7: {} };
+    assert.equal(
+      getNotificationPolicyRejection(expired(1, 1), policy),
+      "EXPIRED is disabled for 1 day gauges"
+    );
+    assert.equal(
+      getNotificationPolicyRejection(expired(1, 7), policy),
+      undefined
+    );
+    assert.equal(
+      getNotificationPolicyRejection(expired(1, 14), policy),
+      undefined
+    );
+  });
+
+  test("filters pools by POOL_IDS, whether configured as numbers or strings", () => {
+    const include = { POOL_IDS: { INCLUDE: [1, "2"], EXCLUDE: [] } };
+    assert.equal(
+      getNotificationPolicyRejection(expired("1", 14), include),
+      undefined
+    );
+    assert.equal(
+      getNotificationPolicyRejection(expired(2, 14), include),
+      undefined
+    );
+    assert.equal(
+      getNotificationPolicyRejection(expired(3, 14), include),
+      "pool 3 is not in POOL_IDS.INCLUDE"
+    );
+
+    const exclude = { POOL_IDS: { INCLUDE: [], EXCLUDE: ["3"] } };
+    assert.equal(
+      getNotificationPolicyRejection(expired(3, 14), exclude),
+      "pool 3 is in POOL_IDS.EXCLUDE"
+    );
+    assert.equal(
+      getNotificationPolicyRejection(expired(1, 14), exclude),
+      undefined
+    );
+  });
+
+  test("needs one reward in DENOMS.INCLUDE, by denom or symbol", () => {
+    const policy = { DENOMS: { INCLUDE: ["ATOM"], EXCLUDE: [] } };
+    assert.equal(
+      getNotificationPolicyRejection(expired(1, 14, [OSMO, ATOM]), policy),
+      undefined
+    );
+    assert.equal(
+      getNotificationPolicyRejection(expired(1, 14, [OSMO]), policy),
+      "no reward denom is in DENOMS.INCLUDE"
+    );
+  });
+
+  test("rejects only if every reward is in DENOMS.EXCLUDE", () => {
+    const policy = { DENOMS: { INCLUDE: [], EXCLUDE: ["uosmo"] } };
+    assert.equal(
+      getNotificationPolicyRejection(expired(1, 14, [OSMO, ATOM]), policy),
+      undefined
+    );
+    assert.equal(
+      getNotificationPolicyRejection(expired(1, 14, [OSMO]), policy),
+      "every reward denom is in DENOMS.EXCLUDE"
+    );
+  });
+
+  test("doesn't filter events without a pool or rewards by them", () => {
+    const policy = {
+      POOL_IDS: { INCLUDE: [1] },
+      DENOMS: { INCLUDE: ["ATOM"] },
+    };
+    assert.equal(
+      getNotificationPolicyRejection({ type: "EPOCH_DIGEST" }, policy),
+      undefined
+    );
+  });
+});
@@ -0,0 +1,290 @@
+import assert from "node:assert/strict";
+import { beforeEach, describe, test } from "node:test";
+import config from "../config/config.js";
+import {
+  drainOutbox,
+  enqueueEvents,
+  getDeliverySettings,
+  getOutbox,
+  saveOutbox,
+} from "../outbox.js";
+
+const getId = (event) => `${event.type}:${event.id}`;
+const getDestinations = (event) => event.destinations;
+
+/**
+ * @param {Array} results send() results, in order (the last one repeats), e.g. [{ ok: false, error: "down" }, { ok: true }]
+ * @returns {*} notifier recording what it was asked to send
+ */
+function fakeNotifier(results = [{ ok: true }], isEnabled = true) {
+  const notifier = {
+    sent: [],
+    isEnabled: () => isEnabled,
+    format: (view) => `payload of ${view.id}`,
+    send: async (target, payload) => {
+      notifier.sent.push({ target, payload });
+      return results[Math.min(notifier.sent.length, results.length) - 1];
+    },
+  };
+  return notifier;
+}
+
+function drain(notifiers) {
+  return drainOutbox({ notifiers, buildView: (event) => event });
+}
+
+beforeEach(() => {
+  saveOutbox({ events: {} });
+  Object.assign(config.NOTIFIERS, {
+    RETRIES: 0,
+    RETRY_INTERVAL_MS: 0,
+    INTERVAL_MS: 0,
+    BATCH_LIMIT: 20,
+    BATCH_INTERVAL_MS: 0,
+  });
+  config.OUTBOX.MAX_ATTEMPTS = 20;
+  config.OUTBOX.RETENTION_DAYS = 30;
+});
+
+describe("enqueueEvents()", () => {
+  test("queues each event once, with a pending status per destination", () => {
+    const event = {
+      type: "NEW_EXTERNAL_GAUGE",
+      id: 1,
+      destinations: ["discord:a", "slack:b"],
+    };
+
+    assert.equal(enqueueEvents([event], getId, getDestinations), 1);
+    assert.equal(enqueueEvents([event], getId, getDestinations), 0);
+
+    const entry = getOutbox().events["NEW_EXTERNAL_GAUGE:1"];
+    assert.deepEqual(entry.event, event);
+    assert.deepEqual(entry.destinations, {
+      "discord:a": { notified: false, attempts: 0 },
+      "slack:b": { notified: false, attempts: 0 },
+    });
+  });
+
+  test("prunes delivered events older than the retention period, but never pending ones", () => {
+    const longAgo = new Date(Date.now() - 31 * 86400 * 1000).toISOString();
+    saveOutbox({
+      events: {
+        done: {
+          id: "done",
+          createdAt: longAgo,
+          destinations: { "discord:a": { notified: true } },
+        },
+        failed: {
+          id: "failed",
+          createdAt: longAgo,
+          destinations: { "discord:a": { failed: true } },
+        },
+        pending: {
+          id: "pending",
+          createdAt: longAgo,
+          destinations: { "discord:a": { notified: false } },
+        },
+        recent: {
+          id: "recent",
+          createdAt: new Date().toISOString(),
+          destinations: { "discord:a": { notified: true } },
+        },
+      },
+    });
+
+    enqueueEvents([], getId, getDestinations);
+
+    assert.deepEqual(Object.keys(getOutbox().events).sort(), [
+      "pending",
+      "recent",
+    ]);
+  });
+});
+
+describe("drainOutbox()", () => {
+  test("sends every pending destination once and marks it notified", async () => {
+    const discord = fakeNotifier();
+    enqueueEvents(
+      [
+        {
+          type: "NEW_EXTERNAL_GAUGE",
+          id: 1,
+          destinations: ["discord:a", "discord:b"],
+        },
+        { type: "NEW_EXTERNAL_GAUGE", id: 2, destinations: ["discord:a"] },
+      ],
+      getId,
+      getDestinations
+    );
+
+    assert.equal(await drain({ discord }), 3);
+    assert.deepEqual(
+      discord.sent.map(({ target }) => target),
+      ["a", "b", "a"]
+    );
+    for (const entry of Object.values(getOutbox().events)) {
+      for (const status of Object.values(entry.destinations)) {
+        assert.equal(status.notified, true);
+        assert.equal(status.attempts, 1);
+      }
+    }
+
+    // nothing left to send
+    assert.equal(await drain({ discord }), 0);
+    assert.equal(discord.sent.length, 3);
+  });
+
+  test("gives up on destinations of a disabled or removed notifier", async () => {
+    const slack = fakeNotifier([{ ok: true }], false);
+    enqueueEvents(
+      [{ type: "NEW_POOL", id: 7, destinations: ["slack:x", "matrix:y"] }],
+      getId,
+      getDestinations
+    );
+
+    assert.equal(await drain({ slack }), 0);
+    assert.equal(slack.sent.length, 0);
+    const { destinations } = getOutbox().events["NEW_POOL:7"];
+    for (const status of Object.values(destinations)) {
+      assert.equal(status.failed, true);
+      assert.equal(status.lastError, "Notifier is disabled");
+    }
+  });
+
+  test("retries a failed send, and leaves it pending for the next drain once out of retries", async () => {
+    config.NOTIFIERS.RETRIES = 1;
+    const webhook = fakeNotifier([
+      { ok: false, error: "HTTP 502" },
+      { ok: false, error: "HTTP 503" },
+      { ok: true },
+    ]);
+    enqueueEvents(
+      [{ type: "EXPIRED", id: 3, destinations: ["webhook:ops"] }],
+      getId,
+      getDestinations
+    );
+
+    await drain({ webhook });
+    let status = getOutbox().events["EXPIRED:3"].destinations["webhook:ops"];
+    assert.equal(webhook.sent.length, 2);
+    assert.deepEqual(
+      {
+        notified: status.notified,
+        attempts: status.attempts,
+        lastError: status.lastError,
+      },
+      { notified: false, attempts: 2, lastError: "HTTP 503" }
+    );
+
+    await drain({ webhook });
+    status = getOutbox().events["EXPIRED:3"].destinations["webhook:ops"];
+    assert.equal(status.notified, true);
+    assert.equal(status.attempts, 3);
+    assert.equal(status.lastError, undefined);
+  });
+
+  test("marks a destination failed after config.OUTBOX.MAX_ATTEMPTS", async () => {
+    config.NOTIFIERS.RETRIES = 5;
+    config.OUTBOX.MAX_ATTEMPTS = 2;
+    const discord = fakeNotifier([{ ok: false, error: "HTTP 500" }]);
+    enqueueEvents(
+      [{ type: "EXPIRED", id: 4, destinations: ["discord:a"] }],
+      getId,
+      getDestinations
+    );
+
+    await drain({ discord });
+    await drain({ discord });
+
+    const status = getOutbox().events["EXPIRED:4"].destinations["discord:a"];
+    assert.equal(discord.sent.length, 2);
+    assert.equal(status.failed, true);
+  });
+
+  test("keeps events queued while a drain is in progress", async () => {
+    const discord = fakeNotifier();
+    const send = discord.send;
+    discord.send = async (target, payload) => {
+      // e.g. a poll queueing its events while the daemon's sender waits on discord
+      if (discord.sent.length == 0) {
+        enqueueEvents(
+          [{ type: "NEW_POOL", id: 9, destinations: ["discord:a"] }],
+          getId,
+          getDestinations
+        );
+      }
+      return send(target, payload);
+    };
+    enqueueEvents(
+      [
+        { type: "EXPIRED", id: 1, destinations: ["discord:a"] },
+        { type: "EXPIRED", id: 2, destinations: ["discord:a"] },
+      ],
+      getId,
+      getDestinations
+    );
+
+    await drain({ discord });
+
+    const { events } = getOutbox();
+    assert.deepEqual(Object.keys(events).sort(), [
+      "EXPIRED:1",
+      "EXPIRED:2",
+      "NEW_POOL:9",
+    ]);
+    assert.equal(events["EXPIRED:2"].destinations["discord:a"].notified, true);
+    assert.equal(
+      events["NEW_POOL:9"].destinations["discord:a"].notified,
+      false
+    );
+
+    // and it's sent by the next drain
+    assert.equal(await drain({ discord }), 1);
+    assert.equal(
+      getOutbox().events["NEW_POOL:9"].destinations["discord:a"].notified,
+      true
+    );
+  });
+
+  test("runs one drain at a time", async () => {
+    const discord = fakeNotifier();
+    enqueueEvents(
+      [{ type: "NEW_POOL", id: 5, destinations: ["discord:a"] }],
+      getId,
+      getDestinations
+    );
+
+    const [first, second] = await Promise.all([
+      drain({ discord }),
+      drain({ discord }),
+    ]);
+
+    assert.equal(first, 1);
+    assert.equal(second, 1); // the same drain
+    assert.equal(discord.sent.length, 1);
+  });
+});
+
+describe("getDeliverySettings()", () => {
+  test("prefers the channel's own setting, then config.NOTIFIERS, then the defaults", () => {
+    delete config.NOTIFIERS.BATCH_LIMIT;
+    config.NOTIFIERS.INTERVAL_MS = 250;
+    config.NOTIFIERS.DISCORD = {
+      ...config.NOTIFIERS.DISCORD,
+      INTERVAL_MS: 2000,
+    };
+
+    assert.equal(getDeliverySettings("discord").INTERVAL_MS, 2000);
+    assert.equal(getDeliverySettings("slack").INTERVAL_MS, 250);
+    assert.equal(getDeliverySettings("slack").BATCH_LIMIT, 20);
+  });
+
+  test("reads telegram's from config.TG_BOT.NOTIFICATION_*", () => {
+    config.TG_BOT.NOTIFICATION_INTERVAL_MS = 3000;
+    config.TG_BOT.NOTIFICATION_RETRIES = undefined;
+    config.NOTIFIERS.RETRIES = 7;
+
+    assert.equal(getDeliverySettings("telegram").INTERVAL_MS, 3000);
+    assert.equal(getDeliverySettings("telegram").RETRIES, 7);
+  });
+});
@@ -0,0 +1,171 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { classifyGauge } from "../gauge-classifier.js";
+import {
+  findPoolChanges,
+  findPoolsWithEndedIncentives,
+} from "../pool-events.js";
+
+function pool(totalShares) {
+  return { type: "balancer", coins: [], totalShares: totalShares };
+}
+
+function gauge(
+  id,
+  poolId,
+  {
+    filledEpochs = 0,
+    epochs = 14,
+    coins = [{ denom: "uion", amount: "1000" }],
+    isPerpetual = false,
+  } = {}
+) {
+  return {
+    id: String(id),
+    is_perpetual: isPerpetual,
+    coins: coins,
+    distribute_to: {
+      lock_query_type: "ByDuration",
+      denom: `gamm/pool/${poolId}`,
+      duration: "86400s",
+    },
+    filled_epochs: String(filledEpochs),
+    num_epochs_paid_over: String(epochs),
+  };
+}
+
+function endedPoolIds(indexedGauges, oldIndexedGauges) {
+  return findPoolsWithEndedIncentives(
+    indexedGauges,
+    oldIndexedGauges,
+    classifyGauge,
+    classifyGauge
+  ).map(({ poolId }) => poolId);
+}
+
+describe("findPoolChanges()", () => {
+  test("finds new pools and liquidity changes beyond the threshold", () => {
+    const oldPools = { 1: pool("1000"), 2: pool("1000"), 3: pool("1000") };
+    const pools = {
+      1: pool("1300"),
+      2: pool("1100"),
+      3: pool("500"),
+      4: pool("10"),
+    };
+
+    assert.deepEqual(
+      findPoolChanges(["1", "2", "3", "4"], pools, oldPools, 25),
+      [
+        {
+          type: "POOL_LIQUIDITY_CHANGE",
+          poolId: "1",
+          liquidityChangePercent: 30,
+        },
+        {
+          type: "POOL_LIQUIDITY_CHANGE",
+          poolId: "3",
+          liquidityChangePercent: -50,
+        },
+        { type: "NEW_POOL", poolId: "4" },
+      ]
+    );
+  });
+
+  test("ignores pools missing from the response, and pools without shares", () => {
+    const oldPools = { 1: pool("1000"), 2: pool(undefined), 3: pool("0") };
+    const pools = { 2: pool(undefined), 3: pool("1000") };
+
+    assert.deepEqual(findPoolChanges(["1", "2", "3"], pools, oldPools, 25), []);
+  });
+
+  test("finds a pool drained of all its liquidity", () => {
+    assert.deepEqual(
+      findPoolChanges(["1"], { 1: pool("0") }, { 1: pool("1000") }, 25),
+      [
+        {
+          type: "POOL_LIQUIDITY_CHANGE",
+          poolId: "1",
+          liquidityChangePercent: -100,
+        },
+      ]
+    );
+  });
+});
+
+describe("findPoolsWithEndedIncentives()", () => {
+  test("finds pools whose last external gauge paid its last epoch or was removed", () => {
+    const oldGauges = {
+      1: gauge(1, 10, { filledEpochs: 13 }),
+      2: gauge(2, 20),
+      3: gauge(3, 30),
+      4: gauge(4, 30, { filledEpochs: 13 }),
+    };
+    const gauges = {
+      1: gauge(1, 10, { filledEpochs: 14 }),
+      // gauge 2 removed
+      3: gauge(3, 30, { filledEpochs: 1 }),
+      4: gauge(4, 30, { filledEpochs: 14 }),
+    };
+
+    const ended = findPoolsWithEndedIncentives(
+      gauges,
+      oldGauges,
+      classifyGauge,
+      classifyGauge
+    );
+
+    // pool 30 still has gauge 3
+    assert.deepEqual(
+      ended.map(({ poolId, endedGauges }) => [poolId, endedGauges]),
+      [
+        ["10", [gauges[1]]],
+        ["20", [oldGauges[2]]],
+      ]
+    );
+  });
+
+  test("doesn't count internal gauges, or gauges without coins, as incentives", () => {
+    const osmo = [{ denom: "uosmo", amount: "1" }];
+    const oldGauges = {
+      1: gauge(1, 10, { isPerpetual: true, coins: osmo }),
+      2: gauge(2, 20, { coins: [] }),
+    };
+
+    assert.deepEqual(endedPoolIds({}, oldGauges), []);
+  });
+
+  test("takes the previous poll's tags for the previous gauges", () => {
+    const oldGauges = { 1: gauge(1, 10) };
+    const gauges = { 1: gauge(1, 10) };
+    // e.g. gauge 1 no longer counts as external this poll
+    const getTags = (current) => ({
+      ...classifyGauge(current),
+      isExternal: false,
+    });
+
+    assert.deepEqual(
+      findPoolsWithEndedIncentives(
+        gauges,
+        oldGauges,
+        getTags,
+        classifyGauge
+      ).map(({ poolId }) => poolId),
+      ["10"]
+    );
+  });
+
+  test("ignores gauges which don't pay a pool", () => {
+    const oldGauges = {
+      1: {
+        ...gauge(1, 10),
+        distribute_to: {
+          lock_query_type: "ByDuration",
+          denom: "uion",
+          duration: "86400s",
+        },
+      },
+    };
+
+    assert.deepEqual(endedPoolIds({}, oldGauges), []);
+  });
+});
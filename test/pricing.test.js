@@ -0,0 +1,102 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { beforeEach, describe, test } from "node:test";
+import config from "../config/config.js";
+import { getPrices, getUsdValue } from "../pricing.js";
+
+const SOURCE = path.join(config.STORAGE.DIR, "source-prices.json");
+
+function writeSource(prices) {
+  fs.writeFileSync(SOURCE, JSON.stringify(prices));
+}
+
+describe("getPrices()", () => {
+  beforeEach(() => {
+    config.PRICES = { ...config.PRICES, SOURCE: SOURCE, CACHE_SECONDS: 300 };
+  });
+
+  test("is empty without a source or a cache", async () => {
+    fs.rmSync(SOURCE, { force: true });
+    assert.deepEqual(await getPrices(), {});
+  });
+
+  test("reads plain and coingecko style prices, by lower case key", async () => {
+    writeSource({
+      OSMO: 0.52,
+      "ibc/27394F": { usd: 8.1 },
+      ION: "300",
+      BROKEN: "n/a",
+      NEGATIVE: -1,
+    });
+    assert.deepEqual(await getPrices(), {
+      osmo: 0.52,
+      "ibc/27394f": 8.1,
+      ion: 300,
+    });
+  });
+
+  test("is cached for PRICES.CACHE_SECONDS", async () => {
+    writeSource({ OSMO: 1 });
+    assert.deepEqual(await getPrices(), {
+      osmo: 0.52,
+      "ibc/27394f": 8.1,
+      ion: 300,
+    });
+  });
+
+  test("refetches once expired, and keeps the stale cache while the source is unavailable", async () => {
+    config.PRICES.CACHE_SECONDS = -1;
+    assert.deepEqual(await getPrices(), { osmo: 1 });
+
+    fs.writeFileSync(SOURCE, "{ not json");
+    assert.deepEqual(await getPrices(), { osmo: 1 });
+  });
+});
+
+describe("getUsdValue()", () => {
+  const prices = { osmo: 0.5, "ibc/27394f": 10 };
+
+  test("values display units, looking up the denom then the symbol", () => {
+    assert.equal(
+      getUsdValue(
+        [
+          { denom: "uosmo", symbol: "OSMO", exponent: 6, amount: "3000000" },
+          {
+            denom: "ibc/27394F",
+            symbol: "ATOM",
+            exponent: 6,
+            amount: "250000",
+          },
+        ],
+        prices
+      ),
+      1.5 + 2.5
+    );
+  });
+
+  test("prefers the denom's price to the symbol's", () => {
+    assert.equal(
+      getUsdValue(
+        [{ denom: "ibc/27394F", symbol: "OSMO", exponent: 0, amount: "1" }],
+        prices
+      ),
+      10
+    );
+  });
+
+  test("is undefined unless every coin has a price, an exponent and an amount", () => {
+    const osmo = { denom: "uosmo", symbol: "OSMO", exponent: 6, amount: "1" };
+    for (const coin of [
+      { denom: "uion", symbol: "ION", exponent: 6, amount: "1" },
+      { ...osmo, exponent: undefined },
+      { ...osmo, amount: undefined },
+    ]) {
+      assert.equal(getUsdValue([osmo, coin], prices), undefined);
+    }
+  });
+
+  test("is 0 without coins", () => {
+    assert.equal(getUsdValue([], prices), 0);
+  });
+});
@@ -0,0 +1,8 @@
+/**
+ * Preloaded by `npm test` (node --import): every module imports ./config/config.js, which is the local (gitignored) config,
+ * so the tests get ./test-config.js instead (see ./config-hook.js).
+ */
+
+import { register } from "node:module";
+
+register("./config-hook.js", import.meta.url);
@@ -0,0 +1,25 @@
+/**
+ * Config of the tests: the template's, with the cache, history and snapshots in a temporary directory (one per test file)
+ * and no real endpoints or notifiers. Tests change it as needed, every module shares this object.
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import template from "../config/config.template.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "externals-monitor-test-"));
+process.on("exit", () => fs.rmSync(dir, { recursive: true, force: true }));
+
+const config = structuredClone(template);
+config.STORAGE = { ...config.STORAGE, BACKEND: "fs", DIR: dir };
+config.HISTORY = { ...config.HISTORY, DIR: path.join(dir, "history") };
+config.SNAPSHOTS = { ...config.SNAPSHOTS, DIR: path.join(dir, "snapshots") };
+config.API = {
+  ...config.API,
+  ENDPOINTS: ["http://127.0.0.1:1"],
+  RETRY_ATTEMPTS: 0,
+  RETRY_INTERVAL_MS: 0,
+};
+
+export default config;
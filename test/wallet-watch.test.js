@@ -0,0 +1,104 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { getWalletEvents } from "../wallet-watch.js";
+
+const DAY = 86400;
+
+function gauge(id, poolId, days, lockQueryType = "ByDuration") {
+  return {
+    id: String(id),
+    distribute_to: {
+      lock_query_type: lockQueryType,
+      denom: `gamm/pool/${poolId}`,
+      duration: `${days * DAY}s`,
+    },
+  };
+}
+
+function lock(id, poolId, days) {
+  return {
+    ID: String(id),
+    duration: `${days * DAY}s`,
+    coins: [{ denom: `gamm/pool/${poolId}`, amount: "1000" }],
+  };
+}
+
+/**
+ * @param {*} locks { [address]: locks }, addresses without an entry fail
+ */
+function locksOf(locks) {
+  return async (address) => {
+    if (!locks[address]) {
+      throw new Error(`no locks for ${address}`);
+    }
+    return locks[address];
+  };
+}
+
+describe("getWalletEvents()", () => {
+  test("alerts wallets bonded for at least the gauge's duration to its pool", async () => {
+    const events = [
+      { type: "EXPIRED", poolId: "1", gauge: gauge(10, 1, 7) },
+      { type: "NEAR_EXPIRATION", poolId: "2", gauge: gauge(20, 2, 14) },
+    ];
+    const walletEvents = await getWalletEvents(
+      events,
+      ["osmo1a", "osmo1b"],
+      locksOf({
+        osmo1a: [lock(1, 1, 7), lock(2, 1, 14), lock(3, 1, 1), lock(4, 2, 7)],
+        osmo1b: [lock(5, 2, 14)],
+      })
+    );
+    assert.deepEqual(walletEvents, [
+      {
+        ...events[0],
+        type: "WALLET_EXPIRED",
+        address: "osmo1a",
+        lockIds: ["1", "2"],
+      },
+      {
+        ...events[1],
+        type: "WALLET_NEAR_EXPIRATION",
+        address: "osmo1b",
+        lockIds: ["5"],
+      },
+    ]);
+  });
+
+  test("ignores other events, and gauges which don't distribute by duration", async () => {
+    const walletEvents = await getWalletEvents(
+      [
+        { type: "NEW_EXTERNAL_GAUGE", poolId: "1", gauge: gauge(10, 1, 7) },
+        { type: "EXPIRED", poolId: "1", gauge: gauge(11, 1, 7, "ByTime") },
+      ],
+      ["osmo1a"],
+      locksOf({ osmo1a: [lock(1, 1, 14)] })
+    );
+    assert.deepEqual(walletEvents, []);
+  });
+
+  test("doesn't fetch any locks without gauge events", async () => {
+    let fetches = 0;
+    await getWalletEvents(
+      [{ type: "NEW_POOL", poolId: "1" }],
+      ["osmo1a"],
+      () => {
+        fetches++;
+        return [];
+      }
+    );
+    assert.equal(fetches, 0);
+  });
+
+  test("skips wallets whose locks can't be fetched", async () => {
+    const walletEvents = await getWalletEvents(
+      [{ type: "EXPIRED", poolId: "1", gauge: gauge(10, 1, 7) }],
+      ["osmo1down", "osmo1a"],
+      locksOf({ osmo1a: [lock(1, 1, 7)] })
+    );
+    assert.deepEqual(
+      walletEvents.map((event) => event.address),
+      ["osmo1a"]
+    );
+  });
+});
@@ -0,0 +1,27 @@
+/**
+ * Helpers shared by index.js and the notifiers.
+ */
+
+import fetch from "node-fetch";
+import config from "./config/config.js";
+
+/**
+ * fetch() which aborts after options.timeout ms (default config.API.TIMEOUT_MS)
+ * @param {String} resource url
+ * @param {*} options node-fetch options, plus timeout
+ * @returns {Promise} fetch response
+ */
+export async function fetchWithTimeout(resource, options = {}) {
+  const { timeout = config.API.TIMEOUT_MS } = options;
+
+  const controller = new AbortController();
+  const id = setTimeout(() => controller.abort(), timeout);
+  try {
+    return await fetch(resource, {
+      ...options,
+      signal: controller.signal,
+    });
+  } finally {
+    clearTimeout(id);
+  }
+}
@@ -0,0 +1,69 @@
+/**
+ * Wallet watch (config.WALLETS): personal alerts for watched wallets whose locks earn from a gauge which is about to expire, or has expired.
+ * The watched wallets and their locks come from index.js (getWatchedWallets() and getWalletLocks()).
+ */
+
+import { ConsoleLogColors } from "js-console-log-colors";
+import config from "./config/config.js";
+
+const out = new ConsoleLogColors();
+
+/**
+ * @param {*} arrNotableEvents notable events from processDeltas()
+ * @param {String[]} addresses watched wallets
+ * @param {Function} getLocks async (address) => the wallet's locks, e.g. [{ID, duration: "1209600s", coins: [{denom: "gamm/pool/1", amount}]}]
+ * @returns {Promise<Array>} WALLET_NEAR_EXPIRATION / WALLET_EXPIRED events, one per watched wallet and gauge
+ */
+export async function getWalletEvents(arrNotableEvents, addresses, getLocks) {
+  if (config.DEBUG) {
+    out.debug("called function: getWalletEvents()");
+  }
+  const walletEvents = [];
+  const gaugeEvents = arrNotableEvents.filter(
+    (event) => event.type == "NEAR_EXPIRATION" || event.type == "EXPIRED"
+  );
+  if (!gaugeEvents.length) {
+    return walletEvents;
+  }
+
+  for (const address of addresses) {
+    let locks;
+    try {
+      locks = await getLocks(address);
+    } catch (err) {
+      out.error(`Unable to fetch the locks of ${address}:`);
+      out.error(err);
+      continue;
+    }
+    for (const event of gaugeEvents) {
+      const lockIds = locks
+        .filter((lock) => isLockRewardedByGauge(lock, event.gauge))
+        .map((lock) => lock.ID);
+      if (lockIds.length) {
+        walletEvents.push({
+          ...event,
+          type: `WALLET_${event.type}`,
+          address: address,
+          lockIds: lockIds,
+        });
+      }
+    }
+  }
+  return walletEvents;
+}
+
+/**
+ * Gauges distribute to every lock of their denom bonded for at least the gauge's duration.
+ * @param {*} lock lock from getLocks()
+ * @param {*} gauge
+ * @returns {Boolean}
+ */
+function isLockRewardedByGauge(lock, gauge) {
+  if (gauge.distribute_to.lock_query_type != "ByDuration") {
+    return false;
+  }
+  return (
+    lock.coins.some((coin) => coin.denom == gauge.distribute_to.denom) &&
+    parseFloat(lock.duration) >= parseFloat(gauge.distribute_to.duration)
+  );
+}